@@ -0,0 +1,172 @@
+/**
+ * APNG Encoder Module
+ * Pure JS animated PNG writer (RGBA, 8-bit): scanline filtering, zlib via CompressionStream,
+ * and acTL/fcTL/fdAT chunks. See https://wiki.mozilla.org/APNG_Specification
+ */
+
+const PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const APNG_DISPOSE_OP_NONE = 0;
+const APNG_BLEND_OP_SOURCE = 0;
+
+// Length, type, data and CRC (over type + data)
+function createPngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, (crc32(chunk.subarray(4, 8 + data.length)) ^ 0xFFFFFFFF) >>> 0);
+    return chunk;
+}
+
+// zlib-wrapped deflate, which is what IDAT/fdAT data must contain
+async function deflateBytes(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function paethPredictor(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+// Filter RGBA rows, choosing per row the filter with the smallest sum of absolute values
+function filterScanlines(rgba, width, height) {
+    const bpp = 4;
+    const rowLength = width * bpp;
+    const output = new Uint8Array(height * (rowLength + 1));
+    const candidates = [0, 1, 2, 3, 4].map(() => new Uint8Array(rowLength));
+
+    for (let y = 0; y < height; y++) {
+        const row = y * rowLength;
+        const prev = row - rowLength;
+        let bestFilter = 0;
+        let bestScore = Infinity;
+
+        for (let filter = 0; filter < 5; filter++) {
+            const line = candidates[filter];
+            let score = 0;
+            for (let x = 0; x < rowLength; x++) {
+                const raw = rgba[row + x];
+                const left = x >= bpp ? rgba[row + x - bpp] : 0;
+                const up = y > 0 ? rgba[prev + x] : 0;
+                const upLeft = y > 0 && x >= bpp ? rgba[prev + x - bpp] : 0;
+                let value;
+                switch (filter) {
+                    case 0: value = raw; break;
+                    case 1: value = raw - left; break;
+                    case 2: value = raw - up; break;
+                    case 3: value = raw - ((left + up) >> 1); break;
+                    default: value = raw - paethPredictor(left, up, upLeft);
+                }
+                value &= 0xFF;
+                line[x] = value;
+                score += value < 128 ? value : 256 - value;
+            }
+            if (score < bestScore) {
+                bestScore = score;
+                bestFilter = filter;
+            }
+        }
+
+        const offset = y * (rowLength + 1);
+        output[offset] = bestFilter;
+        output.set(candidates[bestFilter], offset + 1);
+    }
+
+    return output;
+}
+
+/**
+ * Create an APNG encoder for a width x height canvas.
+ * options: { width, height, loopCount (0 = forever), delayDen (ticks per second, e.g. the FPS) }
+ * Returns { addFrame(rgba, rect, delayNum), extendLastFrame(delayNum), finish() → Blob, frameCount }
+ * The first frame must cover the whole canvas; later frames may be sub-rectangles that replace
+ * the region they cover (dispose NONE, blend SOURCE).
+ */
+function createApngEncoder(options) {
+    const { width, height, loopCount = 0, delayDen } = options;
+    const frames = [];
+
+    // rgba holds only the rect's pixels (rect.width * rect.height * 4 bytes)
+    const addFrame = async (rgba, rect, delayNum) => {
+        if (frames.length === 0 && (rect.x !== 0 || rect.y !== 0 || rect.width !== width || rect.height !== height)) {
+            throw new Error('The first APNG frame must cover the whole canvas');
+        }
+        const data = await deflateBytes(filterScanlines(rgba, rect.width, rect.height));
+        frames.push({ rect, delayNum, data });
+    };
+
+    // Show the previous frame longer instead of storing an identical frame
+    // Returns false when the 16-bit delay would overflow, so the caller stores a frame instead
+    const extendLastFrame = (delayNum) => {
+        const last = frames[frames.length - 1];
+        if (!last || last.delayNum + delayNum > 0xFFFF) return false;
+        last.delayNum += delayNum;
+        return true;
+    };
+
+    const finish = () => {
+        if (frames.length === 0) {
+            throw new Error('APNG needs at least one frame');
+        }
+
+        const ihdr = new Uint8Array(13);
+        const ihdrView = new DataView(ihdr.buffer);
+        ihdrView.setUint32(0, width);
+        ihdrView.setUint32(4, height);
+        ihdr[8] = 8; // Bit depth
+        ihdr[9] = 6; // Colour type: truecolour with alpha
+
+        const actl = new Uint8Array(8);
+        const actlView = new DataView(actl.buffer);
+        actlView.setUint32(0, frames.length);
+        actlView.setUint32(4, loopCount);
+
+        const parts = [PNG_SIGNATURE, createPngChunk('IHDR', ihdr), createPngChunk('acTL', actl)];
+        let sequence = 0;
+
+        frames.forEach((frame, index) => {
+            const fctl = new Uint8Array(26);
+            const view = new DataView(fctl.buffer);
+            view.setUint32(0, sequence++);
+            view.setUint32(4, frame.rect.width);
+            view.setUint32(8, frame.rect.height);
+            view.setUint32(12, frame.rect.x);
+            view.setUint32(16, frame.rect.y);
+            view.setUint16(20, frame.delayNum);
+            view.setUint16(22, delayDen);
+            fctl[24] = APNG_DISPOSE_OP_NONE;
+            fctl[25] = APNG_BLEND_OP_SOURCE;
+            parts.push(createPngChunk('fcTL', fctl));
+
+            if (index === 0) {
+                // The default image doubles as the first animation frame
+                parts.push(createPngChunk('IDAT', frame.data));
+            } else {
+                const fdat = new Uint8Array(4 + frame.data.length);
+                new DataView(fdat.buffer).setUint32(0, sequence++);
+                fdat.set(frame.data, 4);
+                parts.push(createPngChunk('fdAT', fdat));
+            }
+            // Compressed data now lives in the chunk
+            frame.data = null;
+        });
+
+        parts.push(createPngChunk('IEND', new Uint8Array(0)));
+        return new Blob(parts, { type: 'image/apng' });
+    };
+
+    return {
+        addFrame,
+        extendLastFrame,
+        finish,
+        get frameCount() {
+            return frames.length;
+        }
+    };
+}
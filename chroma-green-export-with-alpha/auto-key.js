@@ -0,0 +1,258 @@
+/**
+ * Auto Key Module
+ * Calibrates a key from samples of the backdrop (frame borders, an eyedropper point or a
+ * rectangle, over a few frames). The dominant hue among the saturated samples is taken as
+ * the backdrop; a screen preset whose dominance rule fits it is tuned to cover the samples
+ * with a safety margin, other hues get the custom color key, and unsaturated black or white
+ * backdrops get the luma key. Hues come from the page's rgbToHsv so they match the keyers.
+ */
+
+const AUTO_KEY_FRAME_COUNT = 5; // Frames sampled across the clip (or the in/out range)
+const AUTO_KEY_MAX_SAMPLES_PER_FRAME = 20000;
+const AUTO_KEY_BORDER_FRACTION = 0.04; // Width of the border strips, as a fraction of the smaller side
+const AUTO_KEY_POINT_RADIUS = 8; // Eyedropper patch of (2r + 1)^2 pixels
+const AUTO_KEY_MIN_SATURATION = 0.15; // Less saturated samples cannot belong to a colored backdrop
+const AUTO_KEY_HUE_SPREAD = 45; // Degrees around the dominant hue that count as backdrop
+const AUTO_KEY_MARGIN = 1.25; // Safety margin applied to the spread of the samples
+
+// Frame times to sample, spread evenly over start-end
+function getAutoKeySampleTimes(start, end, count) {
+    if (!(end > start)) return [start];
+    const times = [];
+    for (let i = 0; i < count; i++) {
+        times.push(start + (end - start) * (i + 0.5) / count);
+    }
+    return times;
+}
+
+/**
+ * Rectangles of a width x height frame to sample for a source:
+ * { type: 'borders' }, { type: 'point', x, y } or { type: 'rect', x, y, width, height }.
+ */
+function getAutoKeySampleRects(width, height, source) {
+    const clip = (x, y, w, h) => {
+        const left = Math.max(0, Math.floor(x));
+        const top = Math.max(0, Math.floor(y));
+        const right = Math.min(width, Math.ceil(x + w));
+        const bottom = Math.min(height, Math.ceil(y + h));
+        return right > left && bottom > top ? { x: left, y: top, width: right - left, height: bottom - top } : null;
+    };
+
+    let rects;
+    if (source.type === 'point') {
+        const size = AUTO_KEY_POINT_RADIUS * 2 + 1;
+        rects = [clip(source.x - AUTO_KEY_POINT_RADIUS, source.y - AUTO_KEY_POINT_RADIUS, size, size)];
+    } else if (source.type === 'rect') {
+        rects = [clip(source.x, source.y, source.width, source.height)];
+    } else {
+        const border = Math.max(2, Math.round(Math.min(width, height) * AUTO_KEY_BORDER_FRACTION));
+        rects = [
+            clip(0, 0, width, border),
+            clip(0, height - border, width, border),
+            clip(0, border, border, height - border * 2),
+            clip(width - border, border, border, height - border * 2)
+        ];
+    }
+    return rects.filter(Boolean);
+}
+
+// Append the RGB of the pixels of imageData inside rects to samples (a flat r, g, b array),
+// striding so one frame adds at most AUTO_KEY_MAX_SAMPLES_PER_FRAME pixels
+function collectBackdropSamples(imageData, rects, samples) {
+    const { data, width } = imageData;
+    const total = rects.reduce((sum, rect) => sum + rect.width * rect.height, 0);
+    const step = Math.max(1, Math.ceil(total / AUTO_KEY_MAX_SAMPLES_PER_FRAME));
+    let skip = 0;
+    for (const rect of rects) {
+        for (let y = rect.y; y < rect.y + rect.height; y++) {
+            for (let x = rect.x; x < rect.x + rect.width; x++) {
+                if (skip++ % step !== 0) continue;
+                const i = (y * width + x) * 4;
+                samples.push(data[i], data[i + 1], data[i + 2]);
+            }
+        }
+    }
+}
+
+// Value at fraction p (0-1) of a sorted copy of values
+function getPercentile(values, p) {
+    if (values.length === 0) return 0;
+    const sorted = Float64Array.from(values).sort();
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))))];
+}
+
+function getHueDistance(a, b) {
+    const distance = Math.abs(a - b) % 360;
+    return distance > 180 ? 360 - distance : distance;
+}
+
+// Saturation-weighted circular mean of hues, in degrees
+function getMeanHue(hues, weights) {
+    let x = 0;
+    let y = 0;
+    for (let i = 0; i < hues.length; i++) {
+        const angle = hues[i] * Math.PI / 180;
+        x += Math.cos(angle) * weights[i];
+        y += Math.sin(angle) * weights[i];
+    }
+    const mean = Math.atan2(y, x) * 180 / Math.PI;
+    return mean < 0 ? mean + 360 : mean;
+}
+
+// How far the backdrop channel(s) of rule rise above the rest, as in getHueKeyAlpha
+function getDominanceStrength(r, g, b, rule) {
+    const { channels, others } = HUE_KEY_DOMINANCE_RULES[rule];
+    if (channels.length === 1) {
+        return (getChannel(r, g, b, channels[0]) - Math.max(getChannel(r, g, b, others[0]), getChannel(r, g, b, others[1]))) / 255;
+    }
+    return ((getChannel(r, g, b, channels[0]) + getChannel(r, g, b, channels[1])) / 2 - getChannel(r, g, b, others[0])) / 255;
+}
+
+// Round value to a slider step within min-max; round is Math.ceil or Math.floor where the
+// margin must not be rounded away
+function clampTo(value, min, max, step, round = Math.round) {
+    const stepped = parseFloat((round(parseFloat((value / step).toFixed(6))) * step).toFixed(4));
+    return Math.min(max, Math.max(min, stepped));
+}
+
+// Hue-window settings for a screen preset that cover every backdrop pixel with a margin
+function calibrateHueKey(backdrop, meanHue, rule) {
+    const deviations = backdrop.map(pixel => getHueDistance(pixel.hsv.h, meanHue));
+    const saturations = backdrop.map(pixel => pixel.hsv.s);
+    const strengths = backdrop.map(({ r, g, b, hsv }) => getDominanceStrength(r, g, b, rule) * hsv.s);
+
+    // getHueKeyAlpha is 0 once strength * saturation * smoothness * 5 reaches 1
+    const weakest = getPercentile(strengths, 0.05);
+    return {
+        hueCenter: Math.round(meanHue) % 360,
+        hueWidth: clampTo(2 * (getPercentile(deviations, 0.99) * AUTO_KEY_MARGIN + 5), 10, 180, 1, Math.ceil),
+        saturation: clampTo(getPercentile(saturations, 0.01) / AUTO_KEY_MARGIN, 0.05, 1, 0.01, Math.floor),
+        smoothness: weakest > 0 ? clampTo(AUTO_KEY_MARGIN / (5 * weakest), 0.1, 5, 0.1, Math.ceil) : 5,
+        dominance: rule
+    };
+}
+
+/**
+ * Custom color settings around the median backdrop color. getSimilarity(r, g, b, targetHsv)
+ * is the custom key's distance (0-1); the threshold covers the samples with a margin and the
+ * smoothness keeps nine in ten of them at most 10% opaque.
+ */
+function calibrateCustomKey(backdrop, getSimilarity) {
+    const median = channel => Math.round(getPercentile(backdrop.map(pixel => pixel[channel]), 0.5));
+    const targetColor = { r: median('r'), g: median('g'), b: median('b') };
+    const targetHsv = rgbToHsv(targetColor.r, targetColor.g, targetColor.b);
+    const distances = backdrop.map(({ r, g, b }) => getSimilarity(r, g, b, targetHsv));
+
+    const threshold = clampTo(2 * getPercentile(distances, 0.98) * AUTO_KEY_MARGIN, 0.1, 2, 0.1, Math.ceil);
+    const typical = getPercentile(distances, 0.9) / (threshold * 0.5);
+    const smoothness = typical > 0 && typical < 1 ? clampTo(Math.log(typical) / Math.log(0.1), 0.1, 5, 0.1, Math.ceil) : 0.1;
+    return { targetColor, settings: { threshold, smoothness } };
+}
+
+/**
+ * Work out a key from backdrop samples (flat r, g, b). Returns
+ * { filter, label, settings, targetColor?, backdropFraction }, where filter is a screen preset
+ * name, 'custom' or 'luma' and settings are values for settings[filter];
+ * or null when the samples are neither a saturated color nor black or white.
+ */
+function calibrateKeyFromBackdrop(samples, getSimilarity) {
+    const pixels = [];
+    for (let i = 0; i < samples.length; i += 3) {
+        const r = samples[i];
+        const g = samples[i + 1];
+        const b = samples[i + 2];
+        pixels.push({ r, g, b, hsv: rgbToHsv(r, g, b) });
+    }
+    if (pixels.length === 0) return null;
+
+    // Dominant hue: the saturation-weighted histogram peak, 10 degree bins smoothed with their neighbours
+    const bins = new Float64Array(36);
+    for (const { hsv } of pixels) {
+        if (hsv.s >= AUTO_KEY_MIN_SATURATION) bins[Math.floor(hsv.h / 10) % 36] += hsv.s;
+    }
+    let peak = 0;
+    let peakWeight = -1;
+    for (let i = 0; i < 36; i++) {
+        const weight = bins[(i + 35) % 36] + bins[i] + bins[(i + 1) % 36];
+        if (weight > peakWeight) {
+            peakWeight = weight;
+            peak = i;
+        }
+    }
+    const candidates = pixels.filter(({ hsv }) => hsv.s >= AUTO_KEY_MIN_SATURATION && getHueDistance(hsv.h, peak * 10 + 5) <= AUTO_KEY_HUE_SPREAD);
+
+    if (candidates.length < pixels.length * 0.5) {
+        // Mostly unsaturated: a black or white backdrop can still be luma keyed
+        const luminances = pixels.map(({ r, g, b }) => getLuminance(r, g, b));
+        const dark = luminances.filter(value => value <= 0.25);
+        const light = luminances.filter(value => value >= 0.75);
+        if (dark.length >= pixels.length * 0.5) {
+            const low = clampTo(getPercentile(dark, 0.98) + 0.03, 0, 0.9, 0.01, Math.ceil);
+            return {
+                filter: 'luma',
+                label: 'Luma key (black backdrop)',
+                settings: { low, high: clampTo(low + 0.25, 0, 1, 0.01), invert: false },
+                backdropFraction: dark.length / pixels.length
+            };
+        }
+        if (light.length >= pixels.length * 0.5) {
+            const high = clampTo(getPercentile(light, 0.02) - 0.03, 0.1, 1, 0.01, Math.floor);
+            return {
+                filter: 'luma',
+                label: 'Luma key (white backdrop)',
+                settings: { low: clampTo(high - 0.25, 0, 1, 0.01), high, invert: true },
+                backdropFraction: light.length / pixels.length
+            };
+        }
+        return null;
+    }
+
+    // Drop subject pixels that only share the backdrop's rough hue: keep those within four
+    // times the typical deviation from the mean hue
+    const candidateHue = getMeanHue(candidates.map(pixel => pixel.hsv.h), candidates.map(pixel => pixel.hsv.s));
+    const typicalDeviation = getPercentile(candidates.map(pixel => getHueDistance(pixel.hsv.h, candidateHue)), 0.5);
+    const backdrop = candidates.filter(pixel => getHueDistance(pixel.hsv.h, candidateHue) <= Math.max(8, typicalDeviation * 4));
+    const backdropFraction = backdrop.length / pixels.length;
+    const meanHue = getMeanHue(backdrop.map(pixel => pixel.hsv.h), backdrop.map(pixel => pixel.hsv.s));
+
+    // The screen preset whose dominance rule the backdrop passes most reliably, nearest in hue on ties
+    let best = null;
+    for (const [name, preset] of Object.entries(HUE_KEY_PRESETS)) {
+        const passing = backdrop.filter(({ r, g, b }) => passesDominance(r, g, b, preset.dominance)).length / backdrop.length;
+        const distance = getHueDistance(meanHue, preset.hueCenter);
+        if (passing < 0.9 || distance > preset.hueWidth / 2 + 30) continue;
+        if (!best || passing > best.passing || (passing === best.passing && distance < best.distance)) {
+            best = { name, passing, distance };
+        }
+    }
+
+    if (best) {
+        const rule = HUE_KEY_PRESETS[best.name].dominance;
+        return {
+            filter: best.name,
+            label: best.name.charAt(0).toUpperCase() + best.name.slice(1) + ' screen',
+            settings: calibrateHueKey(backdrop, meanHue, rule),
+            backdropFraction
+        };
+    }
+
+    const custom = calibrateCustomKey(backdrop, getSimilarity);
+    return {
+        filter: 'custom',
+        label: 'Custom color',
+        settings: custom.settings,
+        targetColor: custom.targetColor,
+        backdropFraction
+    };
+}
+
+// Share of fully transparent and partly transparent pixels in keyed RGBA data
+function getTransparencyStats(data) {
+    let transparent = 0;
+    let partial = 0;
+    for (let i = 3; i < data.length; i += 4) {
+        if (data[i] === 0) transparent++;
+        else if (data[i] < 255) partial++;
+    }
+    return { pixelCount: data.length / 4, transparent, partial };
+}
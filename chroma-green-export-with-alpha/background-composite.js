@@ -0,0 +1,143 @@
+/**
+ * Background Composite Module
+ * Places the keyed foreground over a replacement background (an image, a looping video or a
+ * solid colour). The composite keeps the foreground video's frame size: the background covers
+ * the frame and the foreground is scaled about an anchor and offset, like the -p positions of
+ * util/overlay.sh. Light wrap bleeds the blurred background into the foreground's edges.
+ */
+
+const BACKGROUND_ANCHORS = {
+    center: 'Center',
+    'top-left': 'Top left',
+    'top-right': 'Top right',
+    'bottom-left': 'Bottom left',
+    'bottom-right': 'Bottom right'
+};
+
+const BACKGROUND_DEFAULTS = {
+    anchor: 'center',
+    offsetX: 0,
+    offsetY: 0,
+    scale: 100,
+    lightWrap: 0,
+    lightWrapRadius: 10
+};
+
+let compositeCanvas = null;
+let compositeCtx = null;
+let lightWrapCanvas = null;
+let lightWrapCtx = null;
+
+function isBackgroundVideo(source) {
+    return source instanceof HTMLVideoElement;
+}
+
+// Natural size of a background image or video, 0 x 0 until it has loaded
+function getBackgroundSize(source) {
+    if (!source) return { width: 0, height: 0 };
+    if (isBackgroundVideo(source)) return { width: source.videoWidth, height: source.videoHeight };
+    return { width: source.naturalWidth, height: source.naturalHeight };
+}
+
+// Time in a looping background video that lines up with the foreground time
+function getBackgroundTime(source, time) {
+    return source.duration > 0 ? time % source.duration : 0;
+}
+
+// Rectangle the foreground is drawn into on a width x height frame: scaled by options.scale
+// percent, aligned to the anchor, then moved by the offset in pixels
+function getForegroundPlacement(width, height, options) {
+    const placedWidth = width * options.scale / 100;
+    const placedHeight = height * options.scale / 100;
+    let x = (width - placedWidth) / 2;
+    let y = (height - placedHeight) / 2;
+    if (options.anchor.endsWith('left')) x = 0;
+    if (options.anchor.endsWith('right')) x = width - placedWidth;
+    if (options.anchor.startsWith('top')) y = 0;
+    if (options.anchor.startsWith('bottom')) y = height - placedHeight;
+    return { x: x + options.offsetX, y: y + options.offsetY, width: placedWidth, height: placedHeight };
+}
+
+/**
+ * Screen the blurred background into the foreground RGBA data in place. The wrap is strongest
+ * on the foreground's edge and fades over radius pixels into the subject; both buffers are
+ * width x height with the foreground already placed.
+ */
+function applyLightWrap(foreground, background, width, height, radius, amount) {
+    if (radius < 1 || !(amount > 0)) return;
+
+    const pixelCount = width * height;
+    const exposure = new Float32Array(pixelCount);
+    const red = new Float32Array(pixelCount);
+    const green = new Float32Array(pixelCount);
+    const blue = new Float32Array(pixelCount);
+    for (let p = 0; p < pixelCount; p++) {
+        const i = p * 4;
+        exposure[p] = 1 - foreground[i + 3] / 255;
+        red[p] = background[i];
+        green[p] = background[i + 1];
+        blue[p] = background[i + 2];
+    }
+    for (const map of [exposure, red, green, blue]) {
+        boxBlurMap(map, width, height, Math.round(radius));
+    }
+
+    for (let p = 0; p < pixelCount; p++) {
+        const i = p * 4;
+        if (foreground[i + 3] === 0 || exposure[p] <= 0) continue;
+        const wrap = Math.min(1, exposure[p] * 2) * Math.min(1, amount);
+        foreground[i] = Math.round(foreground[i] + (255 - foreground[i]) * red[p] / 255 * wrap);
+        foreground[i + 1] = Math.round(foreground[i + 1] + (255 - foreground[i + 1]) * green[p] / 255 * wrap);
+        foreground[i + 2] = Math.round(foreground[i + 2] + (255 - foreground[i + 2]) * blue[p] / 255 * wrap);
+    }
+}
+
+/**
+ * Composite the keyed foreground canvas over composite.source (image, video or null) on a
+ * composite.color fill, placed by composite.options (see BACKGROUND_DEFAULTS).
+ * Returns a shared canvas of the foreground's size, valid until the next call.
+ */
+function renderBackgroundComposite(foreground, composite) {
+    const width = foreground.width;
+    const height = foreground.height;
+    if (!compositeCanvas) {
+        compositeCanvas = document.createElement('canvas');
+        compositeCtx = compositeCanvas.getContext('2d', { willReadFrequently: true });
+    }
+    compositeCanvas.width = width;
+    compositeCanvas.height = height;
+    compositeCtx.imageSmoothingQuality = 'high';
+
+    compositeCtx.fillStyle = composite.color;
+    compositeCtx.fillRect(0, 0, width, height);
+    const backgroundSize = getBackgroundSize(composite.source);
+    if (backgroundSize.width > 0 && backgroundSize.height > 0) {
+        // Cover the frame, cropping the background's overflow evenly
+        const scale = Math.max(width / backgroundSize.width, height / backgroundSize.height);
+        const drawWidth = backgroundSize.width * scale;
+        const drawHeight = backgroundSize.height * scale;
+        compositeCtx.drawImage(composite.source, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+    }
+
+    const { options } = composite;
+    const placement = getForegroundPlacement(width, height, options);
+    if (options.lightWrap > 0 && options.lightWrapRadius >= 1) {
+        if (!lightWrapCanvas) {
+            lightWrapCanvas = document.createElement('canvas');
+            lightWrapCtx = lightWrapCanvas.getContext('2d', { willReadFrequently: true });
+        }
+        lightWrapCanvas.width = width;
+        lightWrapCanvas.height = height;
+        lightWrapCtx.imageSmoothingQuality = 'high';
+        lightWrapCtx.drawImage(foreground, placement.x, placement.y, placement.width, placement.height);
+
+        const foregroundData = lightWrapCtx.getImageData(0, 0, width, height);
+        const backgroundData = compositeCtx.getImageData(0, 0, width, height);
+        applyLightWrap(foregroundData.data, backgroundData.data, width, height, options.lightWrapRadius, options.lightWrap);
+        lightWrapCtx.putImageData(foregroundData, 0, 0);
+        compositeCtx.drawImage(lightWrapCanvas, 0, 0);
+    } else {
+        compositeCtx.drawImage(foreground, placement.x, placement.y, placement.width, placement.height);
+    }
+    return compositeCanvas;
+}
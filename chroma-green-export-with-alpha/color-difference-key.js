@@ -0,0 +1,109 @@
+/**
+ * Colour Difference Key Module
+ * Alternative to the hue-window keys: transparency is how far a pixel's colour moves towards
+ * a sampled screen colour, measured either as a YCbCr chroma projection or as a Vlahos-style
+ * RGB difference (backdrop channel minus the strongest other channel). Both are linear in the
+ * mix of foreground and screen, so motion blur, hair and soft shadows get partial alpha
+ * instead of the all-or-nothing gate of a hue window.
+ */
+
+const COLOR_DIFFERENCE_MODES = {
+    ycbcr: 'YCbCr chroma',
+    rgb: 'RGB difference (Vlahos)'
+};
+
+// Defaults; the screen colour is a typical chroma green until one is sampled
+const COLOR_DIFFERENCE_DEFAULTS = {
+    mode: 'ycbcr',
+    screenR: 0,
+    screenG: 177,
+    screenB: 64,
+    clipBlack: 0.1,
+    clipWhite: 0.9,
+    shadows: 1
+};
+
+const COLOR_DIFFERENCE_MIN_SHADE = 0.3; // Darkest shadow (fraction of screen luma) that is lifted out
+const COLOR_DIFFERENCE_MIN_CHROMA = 8; // Screen colours with less chroma than this cannot be keyed
+
+// BT.601 luma and chroma (Cb, Cr without the 128 offset)
+function rgbToYCbCr(r, g, b) {
+    return {
+        y: 0.299 * r + 0.587 * g + 0.114 * b,
+        cb: -0.168736 * r - 0.331264 * g + 0.5 * b,
+        cr: 0.5 * r - 0.418688 * g - 0.081312 * b
+    };
+}
+
+/**
+ * Dominance rule (see hue-key.js) of a screen colour: its strongest channel, or its two
+ * strongest when they are close, as for magenta, cyan or yellow screens.
+ */
+function getScreenDominance(r, g, b) {
+    const names = ['r', 'g', 'b'];
+    const order = [0, 1, 2].sort((x, y) => getChannel(r, g, b, y) - getChannel(r, g, b, x));
+    const top = getChannel(r, g, b, order[0]);
+    const second = getChannel(r, g, b, order[1]);
+    const third = getChannel(r, g, b, order[2]);
+    if (second > third && second >= top * 0.75) {
+        return [order[0], order[1]].sort().map(channel => names[channel]).join('');
+    }
+    return names[order[0]];
+}
+
+// Backdrop channel(s) minus the rest: the Vlahos difference for a dominance rule
+function getChannelDifference(r, g, b, rule) {
+    const { channels, others } = HUE_KEY_DOMINANCE_RULES[rule];
+    if (channels.length === 1) {
+        return getChannel(r, g, b, channels[0]) - Math.max(getChannel(r, g, b, others[0]), getChannel(r, g, b, others[1]));
+    }
+    return (getChannel(r, g, b, channels[0]) + getChannel(r, g, b, channels[1])) / 2 - getChannel(r, g, b, others[0]);
+}
+
+/**
+ * Precompute the screen colour terms for options ({ mode, screenR, screenG, screenB,
+ * clipBlack, clipWhite, shadows }) once per frame. Returns null when the screen colour is
+ * too grey to key.
+ */
+function prepareColorDifferenceKey(options) {
+    const { screenR: r, screenG: g, screenB: b } = options;
+    const screen = rgbToYCbCr(r, g, b);
+    const dominance = getScreenDominance(r, g, b);
+    const key = {
+        mode: options.mode,
+        dominance,
+        screenY: Math.max(1, screen.y),
+        screenCb: screen.cb,
+        screenCr: screen.cr,
+        chromaNorm: screen.cb * screen.cb + screen.cr * screen.cr,
+        screenDifference: getChannelDifference(r, g, b, dominance),
+        clipBlack: options.clipBlack,
+        clipWhite: options.clipWhite,
+        shadows: options.shadows
+    };
+    const strength = key.mode === 'rgb' ? key.screenDifference : Math.sqrt(key.chromaNorm);
+    return strength >= COLOR_DIFFERENCE_MIN_CHROMA ? key : null;
+}
+
+/**
+ * Alpha (0-1) of a pixel for a key from prepareColorDifferenceKey. Shadows below 1 divide
+ * out the luma drop of shadowed screen so it is keyed like lit screen; at 1 shadows keep the
+ * partial opacity the difference gives them.
+ */
+function getColorDifferenceAlpha(r, g, b, key) {
+    const pixel = rgbToYCbCr(r, g, b);
+    let transparency = key.mode === 'rgb'
+        ? getChannelDifference(r, g, b, key.dominance) / key.screenDifference
+        : (pixel.cb * key.screenCb + pixel.cr * key.screenCr) / key.chromaNorm;
+    if (transparency <= 0) return 1;
+
+    if (key.shadows < 1) {
+        const shade = Math.min(1, Math.max(COLOR_DIFFERENCE_MIN_SHADE, pixel.y / key.screenY));
+        const lifted = transparency / shade;
+        transparency = lifted + (transparency - lifted) * key.shadows;
+    }
+
+    const alpha = 1 - Math.min(1, transparency);
+    if (key.clipWhite <= key.clipBlack) return alpha > key.clipBlack ? 1 : 0;
+    return Math.min(1, Math.max(0, (alpha - key.clipBlack) / (key.clipWhite - key.clipBlack)));
+}
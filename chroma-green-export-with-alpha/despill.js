@@ -0,0 +1,140 @@
+/**
+ * Despill Module
+ * Spill suppression as its own stage after keying: the backdrop channel(s) of each enabled
+ * screen colour are pulled down to a limit taken from the other channels, optionally across
+ * the whole image so green bounce on opaque skin and hair is cleaned too, and the removed
+ * spill can be replaced with a tint. Edge decontamination then rebuilds the colour of
+ * semi-transparent edge pixels from nearby solid foreground.
+ */
+
+const DESPILL_ALGORITHMS = {
+    average: 'Average of the other channels',
+    max: 'Max of the other channels',
+    limit: 'Limit to one channel'
+};
+
+const DESPILL_LIMIT_CHANNELS = {
+    r: 'Red',
+    g: 'Green',
+    b: 'Blue'
+};
+
+const DESPILL_RANGES = {
+    edges: 'Semi-transparent edges',
+    all: 'Whole image (opaque pixels too)'
+};
+
+const DESPILL_DEFAULTS = {
+    algorithm: 'average',
+    limitChannel: 'r',
+    strength: 0.8,
+    range: 'edges',
+    replace: 0,
+    tintR: 255,
+    tintG: 255,
+    tintB: 255,
+    edgeRadius: 0,
+    edgeAmount: 1
+};
+
+const DECONTAMINATE_SOLID_ALPHA = 250; // Pixels at least this opaque count as clean foreground
+
+// Value a backdrop channel is limited to, from the pixel's other channel(s)
+function getSpillLimit(rgb, channel, rule, options) {
+    const { others } = HUE_KEY_DOMINANCE_RULES[rule];
+    if (others.length === 1) {
+        // Two backdrop channels (magenta, cyan, yellow) share the one remaining channel
+        return options.algorithm === 'average' ? (rgb[channel] + rgb[others[0]]) / 2 : rgb[others[0]];
+    }
+    if (options.algorithm === 'limit') {
+        const limitChannel = 'rgb'.indexOf(options.limitChannel);
+        if (others.includes(limitChannel)) return rgb[limitChannel];
+    }
+    if (options.algorithm === 'average') return (rgb[others[0]] + rgb[others[1]]) / 2;
+    return Math.max(rgb[others[0]], rgb[others[1]]);
+}
+
+// Pull the backdrop channel(s) of rule towards their limit by weight (0-1); returns the spill removed
+function despillPixel(data, i, rule, weight, options) {
+    const { channels } = HUE_KEY_DOMINANCE_RULES[rule];
+    const rgb = [data[i], data[i + 1], data[i + 2]];
+    let removed = 0;
+    for (const channel of channels) {
+        const spill = Math.max(0, rgb[channel] - getSpillLimit(rgb, channel, rule, options)) * weight;
+        data[i + channel] = Math.round(rgb[channel] - spill);
+        removed += spill;
+    }
+    return removed;
+}
+
+/**
+ * Despill RGBA data in place for the dominance rules (see hue-key.js) of the enabled screen
+ * colours. Edges are weighted by their transparency as before; the whole-image range uses
+ * the full strength on every visible pixel.
+ */
+function applyDespill(data, rules, options) {
+    if (rules.length === 0 || !(options.strength > 0)) return;
+
+    const wholeImage = options.range === 'all';
+    // The removed amount is shared out in the tint's proportions, so white restores brightness
+    const tintSum = options.tintR + options.tintG + options.tintB;
+    const tint = [options.tintR, options.tintG, options.tintB].map(value => tintSum > 0 ? value / tintSum * options.replace : 0);
+
+    for (let i = 0; i < data.length; i += 4) {
+        const alpha = data[i + 3] / 255;
+        let weight;
+        if (wholeImage) {
+            if (alpha <= 0) continue;
+            weight = options.strength;
+        } else {
+            if (alpha <= 0.05 || alpha >= 0.95) continue;
+            weight = (1 - alpha) * options.strength;
+        }
+
+        let removed = 0;
+        for (const rule of rules) {
+            removed += despillPixel(data, i, rule, weight, options);
+        }
+        if (removed > 0 && options.replace > 0) {
+            data[i] = Math.min(255, Math.round(data[i] + removed * tint[0]));
+            data[i + 1] = Math.min(255, Math.round(data[i + 1] + removed * tint[1]));
+            data[i + 2] = Math.min(255, Math.round(data[i + 2] + removed * tint[2]));
+        }
+    }
+}
+
+/**
+ * Replace the colour of semi-transparent pixels with the average of solid foreground within
+ * radius pixels, mixed in by amount times the pixel's transparency. Edges with no solid
+ * pixel nearby keep their colour.
+ */
+function decontaminateEdges(data, width, height, radius, amount) {
+    if (radius < 1 || !(amount > 0)) return;
+
+    const pixelCount = width * height;
+    const weight = new Float32Array(pixelCount);
+    const red = new Float32Array(pixelCount);
+    const green = new Float32Array(pixelCount);
+    const blue = new Float32Array(pixelCount);
+    for (let p = 0; p < pixelCount; p++) {
+        const i = p * 4;
+        if (data[i + 3] < DECONTAMINATE_SOLID_ALPHA) continue;
+        weight[p] = 1;
+        red[p] = data[i];
+        green[p] = data[i + 1];
+        blue[p] = data[i + 2];
+    }
+    for (const map of [weight, red, green, blue]) {
+        boxBlurMap(map, width, height, Math.round(radius), 1);
+    }
+
+    for (let p = 0; p < pixelCount; p++) {
+        const i = p * 4;
+        const alpha = data[i + 3];
+        if (alpha === 0 || alpha >= DECONTAMINATE_SOLID_ALPHA || weight[p] < 1e-4) continue;
+        const mix = Math.min(1, amount) * (1 - alpha / 255);
+        data[i] = Math.round(data[i] + (red[p] / weight[p] - data[i]) * mix);
+        data[i + 1] = Math.round(data[i + 1] + (green[p] / weight[p] - data[i + 1]) * mix);
+        data[i + 2] = Math.round(data[i + 2] + (blue[p] / weight[p] - data[i + 2]) * mix);
+    }
+}
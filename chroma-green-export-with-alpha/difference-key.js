@@ -0,0 +1,67 @@
+/**
+ * Difference Key Module
+ * Keys locked-off shots without a coloured backdrop: pixels that match a clean background
+ * plate (a frame of the empty scene, or an imported image) become transparent. The plate is
+ * stored at video resolution; noise averages the difference over a small neighbourhood so
+ * sensor grain in the background does not leave speckles.
+ */
+
+const DIFFERENCE_KEY_DEFAULTS = {
+    tolerance: 0.08,
+    softness: 0.1,
+    noise: 1
+};
+
+let cleanPlateCanvas = null;
+let cleanPlateCtx = null;
+
+// ImageData of source (video frame or image) drawn at width x height
+function captureCleanPlate(source, width, height) {
+    if (!cleanPlateCanvas) {
+        cleanPlateCanvas = document.createElement('canvas');
+        cleanPlateCtx = cleanPlateCanvas.getContext('2d', { willReadFrequently: true });
+    }
+    cleanPlateCanvas.width = width;
+    cleanPlateCanvas.height = height;
+    cleanPlateCtx.drawImage(source, 0, 0, width, height);
+    return cleanPlateCtx.getImageData(0, 0, width, height);
+}
+
+// Same plate at another size (bilinear through a canvas)
+function resizeCleanPlate(plate, width, height) {
+    const source = document.createElement('canvas');
+    source.width = plate.width;
+    source.height = plate.height;
+    source.getContext('2d').putImageData(plate, 0, 0);
+    return captureCleanPlate(source, width, height);
+}
+
+/**
+ * Per-pixel colour distance (0-1) between RGBA data and a plate of the same size, averaged
+ * over a box of radius noise pixels when noise > 0. Pass the previous map as reuse to
+ * recycle its buffer.
+ */
+function getPlateDifferenceMap(data, plate, noise, reuse) {
+    const pixelCount = plate.width * plate.height;
+    const map = reuse && reuse.length === pixelCount ? reuse : new Float32Array(pixelCount);
+    const plateData = plate.data;
+    const scale = 1 / (255 * Math.sqrt(3));
+    for (let p = 0; p < pixelCount; p++) {
+        const i = p * 4;
+        const dr = data[i] - plateData[i];
+        const dg = data[i + 1] - plateData[i + 1];
+        const db = data[i + 2] - plateData[i + 2];
+        map[p] = Math.sqrt(dr * dr + dg * dg + db * db) * scale;
+    }
+    if (noise > 0) {
+        boxBlurMap(map, plate.width, plate.height, Math.round(noise), 1);
+    }
+    return map;
+}
+
+// Alpha (0-1) for a difference: transparent within tolerance, ramping to opaque over softness
+function getDifferenceKeyAlpha(difference, options) {
+    if (difference <= options.tolerance) return 0;
+    if (options.softness <= 0) return 1;
+    return Math.min(1, (difference - options.tolerance) / options.softness);
+}
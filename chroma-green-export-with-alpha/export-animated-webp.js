@@ -3,17 +3,18 @@
  * Exports video as a single animated WebP file with transparency
  */
 
-async function exportAnimatedWebP(video, videoCanvas, applyChromaKey, redrawFrame, seekAndWait, downloadBlob, getTimestamp, progressBarFill, progressText, previewBtn, isExporting) {
+async function exportAnimatedWebP(video, videoCanvas, applyChromaKey, redrawFrame, seekAndWait, downloadBlob, getExportFilename, progressBarFill, progressText, previewBtn, signal, exportOptions) {
     // Check if WebPXMux is available
     if (typeof WebPXMux === 'undefined') {
         throw new Error('WebPXMux library not loaded. Please refresh the page.');
     }
 
-    const duration = video.duration;
+    const { start, end } = exportOptions.range;
     const fpsSelect = document.getElementById('exportFps');
     const fps = fpsSelect ? parseInt(fpsSelect.value) || 30 : 30;
-    let totalFrames = Math.floor(duration * fps);
-    const frameDuration = 1000 / fps; // Duration per frame in milliseconds
+    const totalFrames = Math.floor((end - start) * fps);
+    // Whole-millisecond durations that add up to the exact clip length
+    const frameDurations = getFrameDurations(totalFrames, fps);
     
     // Store dimensions
     const canvasWidth = video.videoWidth;
@@ -23,12 +24,30 @@ async function exportAnimatedWebP(video, videoCanvas, applyChromaKey, redrawFram
         throw new Error('Video dimensions not available');
     }
     
-    // Use fixed batch size of 50 frames to avoid memory issues
+    // Encode in batches of 50 frames so only one batch of RGBA data is held in memory
     const maxFramesPerBatch = 50;
+    const numBatches = Math.ceil(totalFrames / maxFramesPerBatch);
     
-    // Use full resolution - no downscaling
-    const exportWidth = canvasWidth;
-    const exportHeight = canvasHeight;
+    const filename = getExportFilename('animated_webp', fps, 'webp');
+    
+    // Encoded frames are written out batch by batch; opened before any other await because
+    // the file/folder pickers need the click that started the export
+    const output = await openFileSink(filename, 'image/webp', getExportDestination());
+    if (!output) {
+        progressText.textContent = 'Export cancelled';
+        return;
+    }
+    
+    // Output size after the optional auto-crop pass and scaling
+    video.pause();
+    const geometry = await getExportGeometry(video, applyChromaKey, seekAndWait, exportOptions, fps, signal, progressText);
+    if (!geometry) {
+        await output.abort();
+        progressText.textContent = 'Export cancelled';
+        return;
+    }
+    const exportWidth = geometry.width;
+    const exportHeight = geometry.height;
     
     // Create export canvas
     const exportCanvas = document.createElement('canvas');
@@ -36,6 +55,12 @@ async function exportAnimatedWebP(video, videoCanvas, applyChromaKey, redrawFram
     exportCanvas.width = exportWidth;
     exportCanvas.height = exportHeight;
     
+    // The RIFF size is patched in once all frames are written
+    const webpOptions = { width: exportWidth, height: exportHeight, loopCount: 0, bgColor: 0x00000000, hasAlpha: true };
+    await output.write(createAnimatedWebPHeader(webpOptions, 0));
+    let framesSize = 0;
+    let writtenFrames = 0;
+    
     // Initialize WebPXMux
     progressText.textContent = 'Initializing WebP encoder...';
     progressBarFill.style.width = '5%';
@@ -60,305 +85,198 @@ async function exportAnimatedWebP(video, videoCanvas, applyChromaKey, redrawFram
         }
     } catch (e) {
         console.error('WebPXMux initialization error:', e);
+        await output.abort();
         throw new Error('Failed to initialize WebP encoder: ' + e.message);
     }
     
-    // Pause video and reset to start
+    // Pause video and seek to the start of the export range
     video.pause();
-    await seekAndWait(video, 0);
+    await seekAndWait(video, start, signal);
     
-    // Wait for video to be ready
+    // Wait for video to be ready (a stalled video must not keep the output open after Cancel)
     while (video.readyState < 2) {
         await new Promise(resolve => setTimeout(resolve, 10));
+        if (signal.aborted) {
+            await output.abort();
+            progressText.textContent = 'Export cancelled';
+            return;
+        }
     }
     
     // Ensure videoCanvas has correct dimensions by redrawing first frame
     redrawFrame();
     await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
     
-    // Collect all frames
-    const frames = [];
+    // RGBA data of the current batch; it is released once the batch is encoded and written
+    let batchFrames = [];
     
-    for (let i = 0; i < totalFrames; i++) {
-        if (!isExporting) break;
+    const releaseExportData = () => {
+        // Drop frame data and the WASM runtime (it has no terminate API) so both can be collected
+        batchFrames = [];
+        xmux = null;
+    };
+    
+    // Encode the pending batch and write its container-level ANMF chunks to the output
+    const encodeBatch = async (startFrame) => {
+        const batchIndex = Math.floor(startFrame / maxFramesPerBatch);
+        const endFrame = startFrame + batchFrames.length;
+        progressText.textContent = `Encoding batch ${batchIndex + 1} of ${numBatches} (frames ${startFrame + 1} to ${endFrame})...`;
         
-        // Update progress
-        const progress = ((i + 1) / totalFrames) * 90; // Reserve 10% for encoding
-        progressBarFill.style.width = progress + '%';
-        progressText.textContent = `Capturing frame ${i + 1} of ${totalFrames}...`;
+        // Force a visual update before the encoder blocks the main thread
+        void progressBarFill.offsetWidth;
+        await new Promise(resolve => setTimeout(resolve, 0));
         
-        // Seek to frame time
-        const frameTime = i / fps;
-        await seekAndWait(video, frameTime);
+        console.log(`[Batch ${batchIndex + 1}/${numBatches}] Encoding frames ${startFrame + 1} to ${endFrame} (${batchFrames.length} frames)...`);
         
-        // Wait for video to be ready to draw
-        while (video.readyState < 2) {
-            await new Promise(resolve => setTimeout(resolve, 10));
+        let batchWebpData;
+        try {
+            const batchStartTime = performance.now();
+            batchWebpData = await xmux.encodeFrames({
+                frameCount: batchFrames.length,
+                width: exportWidth,
+                height: exportHeight,
+                loopCount: 0,
+                bgColor: 0x00000000,
+                frames: batchFrames.map((frame, idx) => ({
+                    duration: frame.duration,
+                    isKeyframe: idx === 0, // First frame of each batch is keyframe
+                    rgba: frame.rgba
+                }))
+            });
+            const batchDuration = ((performance.now() - batchStartTime) / 1000).toFixed(2);
+            console.log(`[Batch ${batchIndex + 1}/${numBatches}] ✓ Encoded successfully in ${batchDuration}s (${batchFrames.length} frames)`);
+        } catch (batchError) {
+            console.error(`[Batch ${batchIndex + 1}/${numBatches}] ✗ Encoding failed:`, batchError);
+            throw new Error(`Failed to encode batch ${batchIndex + 1}: ${batchError.message}`);
         }
         
-        // Wait a bit more to ensure frame is fully decoded
-        await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
-        
-        // Capture frame with chroma key applied
-        exportCtx.clearRect(0, 0, exportCanvas.width, exportCanvas.height);
-        exportCtx.drawImage(video, 0, 0, exportWidth, exportHeight);
-        
-        // Apply chroma key
-        const frameImageData = exportCtx.getImageData(0, 0, exportCanvas.width, exportCanvas.height);
-        const processedData = applyChromaKey(frameImageData);
-        
-        // Use processedData directly - no need to get ImageData again
-        const data = processedData.data;
-        const width = processedData.width;
-        const height = processedData.height;
-        
-        // Validate dimensions match export dimensions
-        if (width !== exportWidth || height !== exportHeight) {
-            console.warn(`Frame ${i} dimensions mismatch: expected ${exportWidth}x${exportHeight}, got ${width}x${height}`);
+        // webpxmux encodes every frame as a full-canvas ANMF chunk (offset 0,0, dispose to background),
+        // so frames from separate batches can be concatenated without re-encoding
+        const batch = readAnimatedWebP(batchWebpData instanceof Uint8Array ? batchWebpData : new Uint8Array(batchWebpData));
+        if (batch.width !== exportWidth || batch.height !== exportHeight) {
+            throw new Error(`Batch ${batchIndex + 1} canvas is ${batch.width}x${batch.height}, expected ${exportWidth}x${exportHeight}`);
         }
-        
-        // Convert ImageData to Uint32Array in 0xRRGGBBAA format
-        // Ensure we use the correct dimensions from processedData
-        const pixelCount = width * height;
-        const rgba = new Uint32Array(pixelCount);
-        
-        // Validate data length
-        if (data.length !== pixelCount * 4) {
-            throw new Error(`Frame ${i} data length mismatch: expected ${pixelCount * 4}, got ${data.length}`);
+        if (batch.frames.length !== batchFrames.length) {
+            throw new Error(`Batch ${batchIndex + 1} contains ${batch.frames.length} frames, expected ${batchFrames.length}`);
         }
         
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const pixelIdx = y * width + x;
-                const dataIdx = pixelIdx * 4;
-                const r = data[dataIdx];
-                const g = data[dataIdx + 1];
-                const b = data[dataIdx + 2];
-                const a = data[dataIdx + 3];
-                // Format: 0xRRGGBBAA (big-endian)
-                rgba[pixelIdx] = (r << 24) | (g << 16) | (b << 8) | a;
+        // Copy each ANMF out of the batch buffer with its exact duration in the final timeline
+        batchFrames = [];
+        for (let idx = 0; idx < batch.frames.length; idx++) {
+            const anmf = setAnimationFrameDuration(batch.frames[idx], frameDurations[startFrame + idx]);
+            for (const part of createAnimationFrameChunk(anmf)) {
+                await output.write(part);
             }
+            framesSize += getAnimationFrameChunkSize(anmf);
+            writtenFrames++;
         }
-        
-        // Validate rgba array size
-        if (rgba.length !== pixelCount) {
-            throw new Error(`Frame ${i} rgba array size mismatch: expected ${pixelCount}, got ${rgba.length}`);
-        }
-        
-        // Add frame to collection
-        frames.push({
-            duration: frameDuration,
-            isKeyframe: i === 0, // First frame is keyframe
-            rgba: rgba
-        });
-    }
-    
-    if (!isExporting) {
-        progressText.textContent = 'Export cancelled';
-        return;
-    }
-    
-    // Frame capture complete - update progress immediately to show encoding is starting
-    // This prevents the progress bar from appearing frozen
-    progressText.textContent = 'Starting encoding...';
-    progressBarFill.style.width = '90%';
-    
-    // Force a visual update by triggering a reflow
-    void progressBarFill.offsetWidth;
-    
-    // Encode animated WebP in batches (50 frames per batch)
-    if (frames.length === 0) {
-        throw new Error('No frames captured');
-    }
+        console.log(`[Batch ${batchIndex + 1}/${numBatches}] Written, ${formatBytes(output.bytesWritten)} so far`);
+    };
     
     try {
-        const frameWidth = exportWidth;
-        const frameHeight = exportHeight;
-        
-        // Validate all frames have correct size
-        for (let i = 0; i < frames.length; i++) {
-            const expectedSize = frameWidth * frameHeight;
-            if (frames[i].rgba.length !== expectedSize) {
-                throw new Error(`Frame ${i} has incorrect size: expected ${expectedSize}, got ${frames[i].rgba.length}`);
-            }
-        }
-        
-        // Calculate number of batches
-        const numBatches = Math.ceil(frames.length / maxFramesPerBatch);
-        const batchSize = maxFramesPerBatch;
-        
-        console.log(`[Animated WebP Export] Starting batch encoding:`);
-        console.log(`  - Total frames: ${frames.length}`);
-        console.log(`  - Batch size: ${batchSize} frames`);
-        console.log(`  - Number of batches: ${numBatches}`);
-        console.log(`  - Resolution: ${frameWidth}x${frameHeight}`);
-        
-        // Progress tracking for encoding phase
-        let encodingProgress = 90;
-        let progressInterval = null;
-        let targetProgress = 90;
-        
-        // Start progress animation for encoding phase
-        const startEncodingProgress = (targetPercent) => {
-            if (progressInterval) clearInterval(progressInterval);
-            targetProgress = targetPercent;
-            progressInterval = setInterval(() => {
-                if (encodingProgress < targetProgress) {
-                    encodingProgress = Math.min(targetProgress, encodingProgress + 0.5);
-                    progressBarFill.style.width = encodingProgress + '%';
-                }
-            }, 200); // Update every 200ms for smooth animation
-        };
-        
-        // Start encoding progress animation immediately
-        startEncodingProgress(91);
-        
-        // Encode batches and store the WebP data
-        const batchWebPs = [];
-        
-        for (let batchIndex = 0; batchIndex < numBatches; batchIndex++) {
-            if (!isExporting) {
-                if (progressInterval) clearInterval(progressInterval);
-                progressText.textContent = 'Export cancelled';
-                return;
-            }
+        for (let i = 0; i < totalFrames; i++) {
+            if (signal.aborted) break;
             
-            const startFrame = batchIndex * batchSize;
-            const endFrame = Math.min(startFrame + batchSize, frames.length);
-            const batchFrames = frames.slice(startFrame, endFrame);
+            // Update progress (capture and encoding share the first 95%)
+            const progress = ((i + 1) / totalFrames) * 95;
+            progressBarFill.style.width = progress + '%';
+            progressText.textContent = `Capturing frame ${i + 1} of ${totalFrames}... (${formatBytes(output.bytesWritten)} written)`;
             
-            // Update progress text to show encoding (change from "Capturing" to "Encoding")
-            progressText.textContent = `Encoding batch ${batchIndex + 1} of ${numBatches} (frames ${startFrame + 1} to ${endFrame})...`;
+            // Seek to frame time and capture it with the chroma key (and crop/scale) applied
+            const frameTime = start + i / fps;
+            const processedData = await captureKeyedFrame(video, exportCtx, applyChromaKey, seekAndWait, frameTime, signal, geometry);
+            if (!processedData) break;
             
-            // Calculate progress percentage for this batch
-            const batchProgress = 90 + ((batchIndex + 1) / numBatches) * 8; // 90% to 98%
-            startEncodingProgress(batchProgress);
+            // Use processedData directly - no need to get ImageData again
+            const data = processedData.data;
+            const width = processedData.width;
+            const height = processedData.height;
             
-            console.log(`[Batch ${batchIndex + 1}/${numBatches}] Encoding frames ${startFrame + 1} to ${endFrame} (${batchFrames.length} frames)...`);
+            // Validate dimensions match export dimensions
+            if (width !== exportWidth || height !== exportHeight) {
+                throw new Error(`Frame ${i} dimensions mismatch: expected ${exportWidth}x${exportHeight}, got ${width}x${height}`);
+            }
             
-            const batchFramesInput = {
-                frameCount: batchFrames.length,
-                width: frameWidth,
-                height: frameHeight,
-                loopCount: 0,
-                bgColor: 0x00000000,
-                frames: batchFrames.map((frame, idx) => ({
-                    duration: Math.round(frame.duration),
-                    isKeyframe: idx === 0, // First frame of each batch is keyframe
-                    rgba: frame.rgba
-                }))
-            };
+            // Convert ImageData to Uint32Array in 0xRRGGBBAA format
+            const pixelCount = width * height;
+            const rgba = new Uint32Array(pixelCount);
+            for (let pixelIdx = 0; pixelIdx < pixelCount; pixelIdx++) {
+                const dataIdx = pixelIdx * 4;
+                // Format: 0xRRGGBBAA (big-endian)
+                rgba[pixelIdx] = (data[dataIdx] << 24) | (data[dataIdx + 1] << 16) | (data[dataIdx + 2] << 8) | data[dataIdx + 3];
+            }
             
-            try {
-                const batchStartTime = performance.now();
-                const batchWebpData = await xmux.encodeFrames(batchFramesInput);
-                const batchEndTime = performance.now();
-                const batchDuration = ((batchEndTime - batchStartTime) / 1000).toFixed(2);
-                
-                batchWebPs.push({
-                    data: batchWebpData,
-                    frameCount: batchFrames.length,
-                    startFrame: startFrame
-                });
-                
-                console.log(`[Batch ${batchIndex + 1}/${numBatches}] ✓ Encoded successfully in ${batchDuration}s (${batchFrames.length} frames)`);
-            } catch (batchError) {
-                if (progressInterval) clearInterval(progressInterval);
-                console.error(`[Batch ${batchIndex + 1}/${numBatches}] ✗ Encoding failed:`, batchError);
-                throw new Error(`Failed to encode batch ${batchIndex + 1}: ${batchError.message}`);
+            batchFrames.push({
+                duration: frameDurations[i],
+                rgba: rgba
+            });
+            
+            // Encode as soon as a batch is full (or the clip ends)
+            if (batchFrames.length === maxFramesPerBatch || i === totalFrames - 1) {
+                await encodeBatch(i + 1 - batchFrames.length);
             }
         }
         
-        // Clear progress interval
-        if (progressInterval) clearInterval(progressInterval);
-        
-        // Combine batches into final WebP
-        progressText.textContent = `Combining ${numBatches} batches into final animation...`;
-        progressBarFill.style.width = '98%';
+        if (signal.aborted) {
+            releaseExportData();
+            await output.abort();
+            progressText.textContent = 'Export cancelled';
+            return;
+        }
         
-        console.log(`[Combining] Attempting to merge ${numBatches} batches into final WebP...`);
-        console.log(`  - Total frames to combine: ${frames.length}`);
+        if (writtenFrames === 0) {
+            throw new Error('No frames captured');
+        }
         
-        let webpData;
+        // All batches are already joined at the container level; only the RIFF size is left
+        progressText.textContent = `Finalizing animation (${formatBytes(output.bytesWritten)})...`;
+        progressBarFill.style.width = '97%';
         
-        // Try to encode all frames at once for final output
-        // Since batches encoded successfully, frames are valid
-        // But we might still hit memory limits with all frames
-        try {
-            const finalFramesInput = {
-                frameCount: frames.length,
-                width: frameWidth,
-                height: frameHeight,
-                loopCount: 0,
-                bgColor: 0x00000000,
-                frames: frames.map((frame, idx) => ({
-                    duration: Math.round(frame.duration),
-                    isKeyframe: idx === 0, // Only first frame is keyframe
-                    rgba: frame.rgba
-                }))
-            };
-            
-            const finalStartTime = performance.now();
-            webpData = await xmux.encodeFrames(finalFramesInput);
-            const finalEndTime = performance.now();
-            const finalDuration = ((finalEndTime - finalStartTime) / 1000).toFixed(2);
-            
-            console.log(`[Final Encoding] ✓ Combined all ${frames.length} frames successfully in ${finalDuration}s`);
-        } catch (finalError) {
-            console.error(`[Final Encoding] ✗ Failed to combine all frames:`, finalError);
-            console.log(`[Fallback] Using first batch as output (${batchWebPs[0].frameCount} frames)`);
-            
-            // Fallback: use the first batch if final encode fails
-            // This is not ideal but ensures we get some output
-            webpData = batchWebPs[0].data;
-            
-            progressText.textContent = `Warning: Using first batch only (${batchWebPs[0].frameCount} frames) due to memory limits`;
-        }
+        console.log(`[Combining] Wrote ${writtenFrames} frames from ${numBatches} batches (${exportWidth}x${exportHeight})`);
         
-        // Ensure webpData is a Uint8Array or ArrayBuffer
-        let webpArray;
-        if (webpData instanceof Uint8Array) {
-            webpArray = webpData;
-        } else if (webpData instanceof ArrayBuffer) {
-            webpArray = new Uint8Array(webpData);
-        } else if (Array.isArray(webpData)) {
-            webpArray = new Uint8Array(webpData);
-        } else {
-            // Try to convert
-            webpArray = new Uint8Array(webpData);
-        }
+        await output.patch(0, createAnimatedWebPHeader(webpOptions, framesSize));
+        const webpBlob = await output.close();
+        releaseExportData();
         
-        // Create blob from Uint8Array
-        const webpBlob = new Blob([webpArray], { type: 'image/webp' });
+        console.log(`[Combining] ✓ Animated WebP is ${(webpBlob.size / 1024 / 1024).toFixed(2)} MB${output.savedToDisk ? ' (saved to disk)' : ''}`);
         
         // Update progress to show encoding complete
         progressText.textContent = 'Finalizing export...';
         progressBarFill.style.width = '99%';
         
-        const filename = `animated_webp_${getTimestamp()}.webp`;
-        await downloadBlob(webpBlob, filename);
+        if (!output.savedToDisk) {
+            await downloadBlob(webpBlob, filename);
+        }
+        if (output.addSiblingFile) {
+            await saveExportQualityReport(exportOptions, blob => output.addSiblingFile(filename.replace(/\.[^.]+$/, '') + '.quality.json', blob));
+        }
+        await saveExportMetadata(geometry, fps, exportOptions.range, writtenFrames, downloadBlob, filename);
         
-        // Save to localStorage for preview
-        try {
-            const reader = new FileReader();
-            reader.onload = () => {
-                try {
-                    localStorage.setItem('lastExportData', reader.result);
-                    localStorage.setItem('lastExportType', 'image/webp');
-                    previewBtn.disabled = false;
-                } catch (e) {
-                    console.log('Could not save preview to localStorage:', e);
-                }
-            };
-            reader.readAsDataURL(webpBlob);
-        } catch (e) {
-            console.log('Could not save preview:', e);
+        // Save to localStorage for preview (large files would not fit anyway)
+        if (webpBlob.size <= PREVIEW_MAX_BYTES) {
+            try {
+                const reader = new FileReader();
+                reader.onload = () => {
+                    try {
+                        localStorage.setItem('lastExportData', reader.result);
+                        localStorage.setItem('lastExportType', 'image/webp');
+                        previewBtn.disabled = false;
+                    } catch (e) {
+                        console.log('Could not save preview to localStorage:', e);
+                    }
+                };
+                reader.readAsDataURL(webpBlob);
+            } catch (e) {
+                console.log('Could not save preview:', e);
+            }
         }
         
         progressText.textContent = 'Export complete!';
         progressBarFill.style.width = '100%';
         
     } catch (error) {
+        releaseExportData();
+        await output.abort().catch(() => {});
         console.error('WebP encoding error:', error);
         throw new Error('Failed to encode animated WebP: ' + error.message);
     }
@@ -0,0 +1,150 @@
+/**
+ * APNG Export Module
+ * Exports video as a single animated PNG with full 8-bit alpha (see apng-encoder.js)
+ */
+
+// Read APNG options from the export modal
+function getApngOptions() {
+    const loopInput = document.getElementById('apngLoopCount');
+    const optimizeInput = document.getElementById('apngOptimize');
+
+    return {
+        loopCount: Math.max(0, Math.min(65535, parseInt(loopInput?.value) || 0)), // 0 = loop forever
+        optimize: optimizeInput ? optimizeInput.checked : true
+    };
+}
+
+// Bounding box of pixels that differ between two RGBA frames of the same size, or null if identical
+function getChangedBounds(current, previous, width, height) {
+    const pixels32 = new Uint32Array(current.buffer, current.byteOffset, width * height);
+    const previous32 = new Uint32Array(previous.buffer, previous.byteOffset, width * height);
+    let minX = width, minY = height, maxX = -1, maxY = -1;
+
+    for (let y = 0; y < height; y++) {
+        const row = y * width;
+        for (let x = 0; x < width; x++) {
+            if (pixels32[row + x] !== previous32[row + x]) {
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                maxY = y;
+            }
+        }
+    }
+
+    if (maxX < 0) return null;
+    return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+// Copy a rectangle out of an RGBA frame
+function extractRect(data, width, rect) {
+    if (rect.x === 0 && rect.y === 0 && rect.width === width) {
+        return data.subarray(0, rect.width * rect.height * 4);
+    }
+    const output = new Uint8Array(rect.width * rect.height * 4);
+    for (let y = 0; y < rect.height; y++) {
+        const start = ((rect.y + y) * width + rect.x) * 4;
+        output.set(data.subarray(start, start + rect.width * 4), y * rect.width * 4);
+    }
+    return output;
+}
+
+async function exportAPNG(video, videoCanvas, applyChromaKey, redrawFrame, seekAndWait, downloadBlob, getExportFilename, progressBarFill, progressText, previewBtn, signal, exportOptions) {
+    if (typeof CompressionStream === 'undefined') {
+        throw new Error('APNG export needs CompressionStream, which this browser does not support.');
+    }
+
+    const options = getApngOptions();
+    const { start, end } = exportOptions.range;
+    const fps = getExportFps();
+    const totalFrames = Math.floor((end - start) * fps);
+
+    if (video.videoWidth === 0 || video.videoHeight === 0) {
+        throw new Error('Video dimensions not available');
+    }
+
+    video.pause();
+
+    const geometry = await getExportGeometry(video, applyChromaKey, seekAndWait, exportOptions, fps, signal, progressText);
+    if (!geometry) {
+        progressText.textContent = 'Export cancelled';
+        return;
+    }
+    const { width, height } = geometry;
+
+    const exportCanvas = document.createElement('canvas');
+    exportCanvas.width = width;
+    exportCanvas.height = height;
+    const exportCtx = exportCanvas.getContext('2d', { willReadFrequently: true });
+
+    // Delays are exact fractions: one tick of 1/fps seconds per captured frame
+    const encoder = createApngEncoder({ width, height, loopCount: options.loopCount, delayDen: fps });
+    let previousFrame = null;
+    let firstFrameDataUrl = null;
+    let croppedFrames = 0;
+    let mergedFrames = 0;
+
+    for (let i = 0; i < totalFrames; i++) {
+        const processedData = await captureKeyedFrame(video, exportCtx, applyChromaKey, seekAndWait, start + i / fps, signal, geometry);
+        if (!processedData) break;
+
+        const pixels = new Uint8Array(processedData.data.buffer, processedData.data.byteOffset, processedData.data.length);
+        let rect = { x: 0, y: 0, width, height };
+
+        if (i === 0) {
+            firstFrameDataUrl = exportCanvas.toDataURL('image/png');
+        } else if (options.optimize) {
+            // Only store the region that changed since the previous frame
+            const changed = getChangedBounds(pixels, previousFrame, width, height);
+            if (changed) {
+                rect = changed;
+            } else if (encoder.extendLastFrame(1)) {
+                rect = null;
+                mergedFrames++;
+            } else {
+                // Identical frame whose delay can no longer be extended: store a single pixel
+                rect = { x: 0, y: 0, width: 1, height: 1 };
+            }
+        }
+
+        if (rect) {
+            if (rect.width !== width || rect.height !== height) croppedFrames++;
+            await encoder.addFrame(extractRect(pixels, width, rect), rect, 1);
+        }
+        previousFrame = pixels;
+
+        const progress = Math.round(((i + 1) / totalFrames) * 95);
+        progressBarFill.style.width = progress + '%';
+        progressText.textContent = `Encoding frames... ${i + 1}/${totalFrames}`;
+    }
+
+    if (signal.aborted) {
+        progressText.textContent = 'Export cancelled';
+        return;
+    }
+
+    progressText.textContent = 'Finalizing APNG...';
+    const blob = encoder.finish();
+    console.log(`[APNG] ${totalFrames} frames (${encoder.frameCount} stored, ${croppedFrames} cropped, ${mergedFrames} merged), ${(blob.size / 1024 / 1024).toFixed(2)} MB`);
+
+    const filename = getExportFilename('apng', fps, 'png');
+    await downloadBlob(blob, filename);
+    await saveExportMetadata(geometry, fps, exportOptions.range, totalFrames, downloadBlob, filename);
+
+    // Save the animation for preview, falling back to the first frame when it is too large
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            localStorage.setItem('lastExportData', reader.result);
+            localStorage.setItem('lastExportType', 'image/png');
+            previewBtn.disabled = false;
+        } catch (e) {
+            console.log('Animation too large for localStorage, saving frame instead');
+            saveExportPreview(firstFrameDataUrl, 'image/png', previewBtn);
+        }
+    };
+    reader.readAsDataURL(new Blob([blob], { type: 'image/png' }));
+
+    progressBarFill.style.width = '100%';
+    progressText.textContent = 'Export complete!';
+}
@@ -0,0 +1,360 @@
+/**
+ * Export Common Module
+ * Shared frame capture helpers for the seek-based exporters
+ */
+
+// Wait two animation frames so the decoded video frame is ready to draw
+function waitForPaint() {
+    return new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+}
+
+// Read the FPS chosen in the export modal
+function getExportFps() {
+    const fpsSelect = document.getElementById('exportFps');
+    return fpsSelect ? parseInt(fpsSelect.value) || 30 : 30;
+}
+
+// Full-resolution canvas used to key frames before they are cropped/scaled
+let keyingCanvas = null;
+
+function getKeyingContext(width, height) {
+    if (!keyingCanvas) keyingCanvas = document.createElement('canvas');
+    keyingCanvas.width = width;
+    keyingCanvas.height = height;
+    return keyingCanvas.getContext('2d', { willReadFrequently: true });
+}
+
+// Seek to a time and wait until the frame can be drawn; false if the signal fired
+async function seekToFrame(video, seekAndWait, time, signal) {
+    await seekAndWait(video, time, signal);
+    if (signal.aborted) return false;
+
+    // Wait for video to be ready to draw
+    while (video.readyState < 2) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        if (signal.aborted) return false;
+    }
+    await waitForPaint();
+    return true;
+}
+
+// Frame index of geometry.temporal keyed up to the temporal stage (at source resolution),
+// from the cache or by seeking to it; null if the signal fired
+async function getTemporalFrame(video, seekAndWait, index, signal, geometry) {
+    const { temporal } = geometry;
+    if (temporal.frames.has(index)) return temporal.frames.get(index);
+
+    const time = temporal.start + index / temporal.fps;
+    if (!await seekToFrame(video, seekAndWait, time, signal)) return null;
+    const keyingCtx = getKeyingContext(geometry.sourceWidth, geometry.sourceHeight);
+    keyingCtx.drawImage(video, 0, 0, geometry.sourceWidth, geometry.sourceHeight);
+    const frame = temporal.keyFrame(keyingCtx.getImageData(0, 0, geometry.sourceWidth, geometry.sourceHeight), time);
+    temporal.frames.set(index, frame);
+    return frame;
+}
+
+// Key the frame at time with temporal smoothing centred on it (see applyCentredTemporalMatte).
+// The frame after it is keyed ahead and cached for the next call, so frames exported in order
+// are still seeked and keyed once each; a looping export also keys its last frame up front
+// to smooth the first one. Returns the keyed ImageData at source resolution, or null if the
+// signal fired
+async function keyCentredTemporalFrame(video, seekAndWait, time, signal, geometry) {
+    const { temporal } = geometry;
+    const last = temporal.frameCount - 1;
+    const index = Math.round((time - temporal.start) * temporal.fps);
+    const wrap = temporal.loop && last > 0;
+    const previousIndex = index > 0 ? index - 1 : (wrap ? last : -1);
+    const nextIndex = index < last ? index + 1 : (wrap ? 0 : -1);
+
+    const frame = await getTemporalFrame(video, seekAndWait, index, signal, geometry);
+    if (!frame) return null;
+    const next = nextIndex >= 0 ? await getTemporalFrame(video, seekAndWait, nextIndex, signal, geometry) : null;
+    if (signal.aborted) return null;
+    const previous = previousIndex >= 0 ? await getTemporalFrame(video, seekAndWait, previousIndex, signal, geometry) : null;
+    if (signal.aborted) return null;
+
+    // Later frames only need this one and the ones after it (and a loop needs the first frame at the end)
+    for (const cachedIndex of temporal.frames.keys()) {
+        if (cachedIndex < index && !(wrap && cachedIndex === 0)) temporal.frames.delete(cachedIndex);
+    }
+
+    // The cached frame stays unsmoothed, as it is the next frame's neighbour
+    const keyedData = new ImageData(new Uint8ClampedArray(frame.data), frame.width, frame.height);
+    return temporal.finishFrame(keyedData, time, previous, next);
+}
+
+// Seek to a time and draw the chroma-keyed video frame into ctx (sized to its canvas)
+// With a geometry (see getExportGeometry) the frame is keyed at source resolution,
+// composited over geometry.background when set, then cropped and scaled into ctx,
+// whose canvas must be geometry.width x geometry.height; the keyed matte (before compositing,
+// cropping and scaling) is added to geometry.qualityReport when set (see matte-quality.js).
+// With geometry.temporal the frame is keyed through it instead of applyChromaKey
+// Returns the processed ImageData, or null if the signal fired while seeking
+async function captureKeyedFrame(video, ctx, applyChromaKey, seekAndWait, time, signal, geometry) {
+    let keyedData = null;
+    if (geometry && geometry.temporal) {
+        keyedData = await keyCentredTemporalFrame(video, seekAndWait, time, signal, geometry);
+        if (!keyedData) return null;
+    } else if (!await seekToFrame(video, seekAndWait, time, signal)) {
+        return null;
+    }
+
+    const width = ctx.canvas.width;
+    const height = ctx.canvas.height;
+
+    if (geometry && (geometry.background || !isFullFrameGeometry(geometry))) {
+        // Keying works on source pixels (region masks are stored at video resolution)
+        const keyingCtx = getKeyingContext(geometry.sourceWidth, geometry.sourceHeight);
+        if (!keyedData) {
+            keyingCtx.drawImage(video, 0, 0, geometry.sourceWidth, geometry.sourceHeight);
+            keyedData = applyChromaKey(keyingCtx.getImageData(0, 0, geometry.sourceWidth, geometry.sourceHeight));
+        }
+        keyingCtx.putImageData(keyedData, 0, 0);
+        if (geometry.qualityReport) addMatteQualityFrame(geometry.qualityReport, time, keyedData);
+
+        let keyedFrame = keyingCanvas;
+        if (geometry.background) {
+            const { source } = geometry.background;
+            if (isBackgroundVideo(source)) {
+                await seekAndWait(source, getBackgroundTime(source, time), signal);
+                if (signal.aborted) return null;
+            }
+            keyedFrame = renderBackgroundComposite(keyingCanvas, geometry.background);
+        }
+
+        const { crop } = geometry;
+        ctx.clearRect(0, 0, width, height);
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(keyedFrame, crop.x, crop.y, crop.width, crop.height, 0, 0, width, height);
+        return ctx.getImageData(0, 0, width, height);
+    }
+
+    if (!keyedData) {
+        ctx.clearRect(0, 0, width, height);
+        ctx.drawImage(video, 0, 0, width, height);
+        keyedData = applyChromaKey(ctx.getImageData(0, 0, width, height));
+    }
+    ctx.putImageData(keyedData, 0, 0);
+    if (geometry && geometry.qualityReport) addMatteQualityFrame(geometry.qualityReport, time, keyedData);
+    return keyedData;
+}
+
+// Read the output size and auto-crop options from the export modal
+function getExportSizeOptions() {
+    const modeSelect = document.getElementById('exportSizeMode');
+    const percentInput = document.getElementById('exportScalePercent');
+    const widthInput = document.getElementById('exportTargetWidth');
+    const heightInput = document.getElementById('exportTargetHeight');
+    const autoCropInput = document.getElementById('exportAutoCrop');
+    const paddingInput = document.getElementById('exportCropPadding');
+
+    return {
+        mode: modeSelect ? modeSelect.value : 'original', // 'original', 'percent' or 'size'
+        percent: Math.max(1, Math.min(400, parseFloat(percentInput?.value) || 100)),
+        width: Math.max(0, parseInt(widthInput?.value) || 0), // 0 = follow the aspect ratio
+        height: Math.max(0, parseInt(heightInput?.value) || 0),
+        autoCrop: autoCropInput ? autoCropInput.checked : false,
+        cropPadding: Math.max(0, parseInt(paddingInput?.value) || 0)
+    };
+}
+
+function isFullFrameGeometry(geometry) {
+    const { crop } = geometry;
+    return crop.x === 0 && crop.y === 0 &&
+        crop.width === geometry.sourceWidth && crop.height === geometry.sourceHeight &&
+        geometry.width === geometry.sourceWidth && geometry.height === geometry.sourceHeight;
+}
+
+// Union of the opaque bounds of every frame in the range, or null if they are all transparent
+// Returns undefined if the signal fired
+async function findSubjectBounds(video, applyChromaKey, seekAndWait, range, fps, signal, progressText) {
+    const totalFrames = Math.floor((range.end - range.start) * fps);
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    let union = null;
+
+    for (let i = 0; i < totalFrames; i++) {
+        const processedData = await captureKeyedFrame(video, ctx, applyChromaKey, seekAndWait, range.start + i / fps, signal);
+        if (!processedData) return undefined;
+
+        const bounds = getOpaqueBounds(processedData);
+        if (bounds) {
+            if (!union) {
+                union = { ...bounds };
+            } else {
+                const right = Math.max(union.x + union.width, bounds.x + bounds.width);
+                const bottom = Math.max(union.y + union.height, bounds.y + bounds.height);
+                union.x = Math.min(union.x, bounds.x);
+                union.y = Math.min(union.y, bounds.y);
+                union.width = right - union.x;
+                union.height = bottom - union.y;
+            }
+        }
+        progressText.textContent = `Finding subject bounds... ${i + 1}/${totalFrames}`;
+    }
+
+    return union;
+}
+
+// Work out the exported frame size: the optional auto-crop (union of the subject bounds over the
+// whole range plus padding), then scaling to a percentage or to fit a target width/height
+// Returns { sourceWidth, sourceHeight, crop, scale, width, height, background, qualityReport },
+// or null if the signal fired
+async function getExportGeometry(video, applyChromaKey, seekAndWait, exportOptions, fps, signal, progressText) {
+    const options = getExportSizeOptions();
+    const sourceWidth = video.videoWidth;
+    const sourceHeight = video.videoHeight;
+    const background = exportOptions.background || null;
+    let crop = { x: 0, y: 0, width: sourceWidth, height: sourceHeight };
+
+    if (options.autoCrop && background) {
+        // A composite is opaque everywhere, so there is no subject to crop to
+        console.warn('[Export] Auto-crop is not applied to composited exports');
+    } else if (options.autoCrop) {
+        const bounds = await findSubjectBounds(video, applyChromaKey, seekAndWait, exportOptions.range, fps, signal, progressText);
+        if (bounds === undefined) return null;
+        if (bounds) {
+            const left = Math.max(0, bounds.x - options.cropPadding);
+            const top = Math.max(0, bounds.y - options.cropPadding);
+            const right = Math.min(sourceWidth, bounds.x + bounds.width + options.cropPadding);
+            const bottom = Math.min(sourceHeight, bounds.y + bounds.height + options.cropPadding);
+            crop = { x: left, y: top, width: right - left, height: bottom - top };
+        } else {
+            console.warn('[Export] Every frame is fully transparent, exporting without auto-crop');
+        }
+    }
+
+    let scale = 1;
+    if (options.mode === 'percent') {
+        scale = options.percent / 100;
+    } else if (options.mode === 'size') {
+        // Both set: fit inside the box, keeping the aspect ratio
+        const scaleX = options.width ? options.width / crop.width : Infinity;
+        const scaleY = options.height ? options.height / crop.height : Infinity;
+        scale = Math.min(scaleX, scaleY);
+        if (!isFinite(scale)) scale = 1;
+    }
+
+    const geometry = {
+        sourceWidth,
+        sourceHeight,
+        crop,
+        scale,
+        width: Math.max(1, Math.round(crop.width * scale)),
+        height: Math.max(1, Math.round(crop.height * scale)),
+        background,
+        qualityReport: exportOptions.qualityReport || null,
+        // Centred temporal smoothing (see keyCentredTemporalFrame), with a cache of keyed frames by index
+        temporal: exportOptions.temporal ? {
+            ...exportOptions.temporal,
+            start: exportOptions.range.start,
+            fps,
+            frameCount: Math.floor((exportOptions.range.end - exportOptions.range.start) * fps),
+            frames: new Map()
+        } : null
+    };
+    if (!isFullFrameGeometry(geometry)) {
+        console.log(`[Export] Crop ${crop.width}x${crop.height} at ${crop.x},${crop.y} of ${sourceWidth}x${sourceHeight}, output ${geometry.width}x${geometry.height}`);
+    }
+    return geometry;
+}
+
+// Describes where the exported frames sit in the source video so layers can be placed back:
+// an output pixel (u, v) comes from source pixel (crop.x + u / scale, crop.y + v / scale)
+function getExportMetadata(geometry, fps, range, frameCount) {
+    return {
+        app: 'frogfx.tools chroma key',
+        source: { width: geometry.sourceWidth, height: geometry.sourceHeight },
+        crop: { ...geometry.crop },
+        scale: geometry.scale,
+        output: { width: geometry.width, height: geometry.height },
+        fps,
+        range: { start: range.start, end: range.end },
+        frameCount
+    };
+}
+
+// Download the metadata as <export name>.json next to a single-file export that was cropped or scaled
+async function saveExportMetadata(geometry, fps, range, frameCount, downloadBlob, filename) {
+    if (isFullFrameGeometry(geometry)) return;
+    const metadata = getExportMetadata(geometry, fps, range, frameCount);
+    const blob = new Blob([JSON.stringify(metadata, null, 2)], { type: 'application/json' });
+    await downloadBlob(blob, filename.replace(/\.[^.]+$/, '') + '.json');
+}
+
+// Finish the export's matte quality report (see matte-quality.js) and hand it as JSON to
+// writeFile, so exporters with their own output (a ZIP, a folder) keep it with the export.
+// index.html downloads the report when no exporter saved it
+async function saveExportQualityReport(exportOptions, writeFile) {
+    const report = exportOptions.qualityReport;
+    if (!report || report.frames.length === 0) return;
+    finishMatteQualityReport(report);
+    await writeFile(new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' }));
+    exportOptions.qualityReportSaved = true;
+}
+
+// Bounding box of pixels with alpha > 0, or null if the frame is fully transparent
+function getOpaqueBounds(imageData) {
+    const { data, width, height } = imageData;
+    let minX = width, minY = height, maxX = -1, maxY = -1;
+
+    for (let y = 0; y < height; y++) {
+        const rowStart = y * width * 4;
+        for (let x = 0; x < width; x++) {
+            if (data[rowStart + x * 4 + 3] !== 0) {
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                maxY = y;
+            }
+        }
+    }
+
+    if (maxX < 0) return null;
+    return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+// Per-frame durations in whole milliseconds that add up to the exact clip length
+function getFrameDurations(frameCount, fps) {
+    const durations = [];
+    for (let i = 0; i < frameCount; i++) {
+        durations.push(Math.round(((i + 1) * 1000) / fps) - Math.round((i * 1000) / fps));
+    }
+    return durations;
+}
+
+// localStorage holds about 5 MB, so larger exports are not read back for preview
+const PREVIEW_MAX_BYTES = 3 * 1024 * 1024;
+
+// Save an image/video data URL for preview.html, ignoring quota errors
+function saveExportPreview(dataUrl, mimeType, previewBtn) {
+    try {
+        localStorage.setItem('lastExportData', dataUrl);
+        localStorage.setItem('lastExportType', mimeType);
+        previewBtn.disabled = false;
+    } catch (e) {
+        console.log('Could not save preview to localStorage:', e);
+    }
+}
+
+let crc32Table = null;
+
+// Running CRC-32 (zlib polynomial); callers XOR the result with 0xFFFFFFFF when done
+function crc32(bytes, crc = 0xFFFFFFFF) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c >>> 0;
+        }
+    }
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return crc;
+}
@@ -0,0 +1,247 @@
+/**
+ * FFmpeg Export Module
+ * Encodes chroma-keyed PNG frames with self-hosted FFmpeg.wasm (vendor/ffmpeg, see util/fetch-ffmpeg.sh)
+ * into VP9-alpha WebM files. The published cores' libx265 has no alpha support, so HEVC with alpha
+ * is made from exported frames with util/frames-to-hevc-alpha.sh instead
+ */
+
+const FFMPEG_VENDOR_PATH = 'vendor/ffmpeg/';
+const FFMPEG_LOG = false; // Print FFmpeg's output to the console while encoding
+
+// Loaded FFmpeg instance, kept between exports so the 30 MB core is only started once
+let ffmpegInstance = null;
+
+async function vendorFileExists(path) {
+    try {
+        const response = await fetch(FFMPEG_VENDOR_PATH + path, { method: 'HEAD' });
+        return response.ok;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Load FFmpeg from vendor/ffmpeg, using the multi-threaded core when the page is cross-origin isolated
+async function loadFFmpeg(progressText, signal) {
+    if (ffmpegInstance) return ffmpegInstance;
+
+    if (!window.FFmpegWASM || !window.FFmpegWASM.FFmpeg) {
+        throw new Error('FFmpeg.wasm is not installed. Run util/fetch-ffmpeg.sh and serve the site with ./start.sh.');
+    }
+
+    // SharedArrayBuffer (needed by the threaded core) is only available with COOP/COEP headers
+    const multiThreaded = window.crossOriginIsolated === true && await vendorFileExists('core-mt/ffmpeg-core.js');
+    // Absolute URLs, because the worker resolves them relative to its own script
+    const coreBase = new URL(FFMPEG_VENDOR_PATH + (multiThreaded ? 'core-mt/' : 'core/'), window.location.href).href;
+
+    progressText.textContent = `Loading FFmpeg (${multiThreaded ? 'multi-threaded' : 'single-threaded'})...`;
+
+    const ffmpeg = new window.FFmpegWASM.FFmpeg();
+
+    const config = {
+        coreURL: `${coreBase}ffmpeg-core.js`,
+        wasmURL: `${coreBase}ffmpeg-core.wasm`
+    };
+    if (multiThreaded) {
+        config.workerURL = `${coreBase}ffmpeg-core.worker.js`;
+    }
+
+    try {
+        await ffmpeg.load(config, { signal });
+    } catch (error) {
+        ffmpeg.terminate();
+        if (signal.aborted) throw error;
+        throw new Error(`Failed to load FFmpeg from ${FFMPEG_VENDOR_PATH}: ${error.message || error}`);
+    }
+
+    console.log(`[FFmpeg] Loaded ${multiThreaded ? 'multi-threaded' : 'single-threaded'} core from ${coreBase}`);
+    ffmpegInstance = { ffmpeg, multiThreaded, pixelFormats: {} };
+    return ffmpegInstance;
+}
+
+// Stop the FFmpeg worker; the next export loads it again
+function releaseFFmpeg() {
+    if (ffmpegInstance) {
+        ffmpegInstance.ffmpeg.terminate();
+        ffmpegInstance = null;
+    }
+}
+
+// Pixel formats an encoder accepts, read from `ffmpeg -h encoder=<name>`
+async function getEncoderPixelFormats(instance, encoder) {
+    if (instance.pixelFormats[encoder]) return instance.pixelFormats[encoder];
+
+    const lines = [];
+    const onLog = ({ message }) => lines.push(message);
+    instance.ffmpeg.on('log', onLog);
+    try {
+        await instance.ffmpeg.exec(['-hide_banner', '-h', `encoder=${encoder}`]);
+    } finally {
+        instance.ffmpeg.off('log', onLog);
+    }
+
+    const formatsLine = lines.find(line => line.includes('Supported pixel formats:'));
+    const formats = formatsLine ? formatsLine.split(':')[1].trim().split(/\s+/) : [];
+    instance.pixelFormats[encoder] = formats;
+    return formats;
+}
+
+async function exportWebMVP9Alpha(video, videoCanvas, applyChromaKey, redrawFrame, seekAndWait, downloadBlob, getExportFilename, progressBarFill, progressText, previewBtn, signal, exportOptions) {
+    const { start, end } = exportOptions.range;
+    const fps = getExportFps();
+    const totalFrames = Math.floor((end - start) * fps);
+
+    if (video.videoWidth === 0 || video.videoHeight === 0) {
+        throw new Error('Video dimensions not available');
+    }
+
+    progressBarFill.style.width = '0%';
+    const instance = await loadFFmpeg(progressText, signal);
+    if (signal.aborted) {
+        progressText.textContent = 'Export cancelled';
+        return;
+    }
+    const { ffmpeg } = instance;
+
+    const pixelFormats = await getEncoderPixelFormats(instance, 'libvpx-vp9');
+    if (!pixelFormats.includes('yuva420p')) {
+        throw new Error(`The FFmpeg core in ${FFMPEG_VENDOR_PATH} cannot encode libvpx-vp9 with alpha (yuva420p).`);
+    }
+
+    video.pause();
+
+    const geometry = await getExportGeometry(video, applyChromaKey, seekAndWait, exportOptions, fps, signal, progressText);
+    if (!geometry) {
+        progressText.textContent = 'Export cancelled';
+        return;
+    }
+
+    const exportCanvas = document.createElement('canvas');
+    exportCanvas.width = geometry.width;
+    exportCanvas.height = geometry.height;
+    const exportCtx = exportCanvas.getContext('2d', { willReadFrequently: true });
+
+    const frameFiles = [];
+    const outputName = 'output.webm';
+    let firstFrameDataUrl = null;
+    let onProgress = null;
+    // Terminating the worker is the only way to interrupt a running ffmpeg.exec
+    const onAbort = () => releaseFFmpeg();
+
+    try {
+        // Write PNG frames into the FFmpeg file system
+        for (let i = 0; i < totalFrames; i++) {
+            const processedData = await captureKeyedFrame(video, exportCtx, applyChromaKey, seekAndWait, start + i / fps, signal, geometry);
+            if (!processedData) break;
+
+            if (i === 0) {
+                firstFrameDataUrl = exportCanvas.toDataURL('image/webp', 0.9);
+            }
+
+            const pngBlob = await new Promise((resolve, reject) => {
+                exportCanvas.toBlob(blob => blob ? resolve(blob) : reject(new Error(`Failed to encode frame ${i + 1}`)), 'image/png');
+            });
+            const frameName = `frame_${String(i).padStart(5, '0')}.png`;
+            await ffmpeg.writeFile(frameName, new Uint8Array(await pngBlob.arrayBuffer()));
+            frameFiles.push(frameName);
+
+            const progress = Math.round(((i + 1) / totalFrames) * 50);
+            progressBarFill.style.width = progress + '%';
+            progressText.textContent = `Capturing frames... ${i + 1}/${totalFrames}`;
+        }
+
+        if (signal.aborted) {
+            progressText.textContent = 'Export cancelled';
+            return;
+        }
+
+        progressText.textContent = 'Encoding WebM VP9 with alpha...';
+        onProgress = ({ progress }) => {
+            const percent = Math.max(0, Math.min(1, progress));
+            progressBarFill.style.width = Math.round(50 + percent * 45) + '%';
+            progressText.textContent = `Encoding WebM VP9 with alpha... ${Math.round(percent * 100)}%`;
+        };
+        ffmpeg.on('progress', onProgress);
+        signal.addEventListener('abort', onAbort);
+
+        // Kept for the error message; only printed with FFMPEG_LOG, as long clips log thousands of lines
+        const lines = [];
+        const onLog = ({ message }) => {
+            lines.push(message);
+            if (FFMPEG_LOG) console.log('[FFmpeg]', message);
+        };
+        ffmpeg.on('log', onLog);
+        let exitCode;
+        try {
+            exitCode = await ffmpeg.exec([
+                '-framerate', fps.toString(),
+                '-i', 'frame_%05d.png',
+                '-c:v', 'libvpx-vp9',
+                '-pix_fmt', 'yuva420p',
+                '-b:v', '0',
+                '-crf', '30',
+                '-auto-alt-ref', '0',
+                // libvpx-vp9 crashes on alpha frames when it tries to use threads in the single-threaded core
+                ...(instance.multiThreaded ? ['-row-mt', '1'] : ['-threads', '1']),
+                outputName
+            ]);
+        } finally {
+            ffmpeg.off('log', onLog);
+        }
+
+        if (signal.aborted) {
+            progressText.textContent = 'Export cancelled';
+            return;
+        }
+        if (exitCode !== 0) {
+            throw new Error(`FFmpeg exited with code ${exitCode}: ${lines.slice(-3).join(' ')}`);
+        }
+
+        progressBarFill.style.width = '95%';
+        progressText.textContent = 'Finalizing...';
+
+        const data = await ffmpeg.readFile(outputName);
+        if (!data || data.length === 0) {
+            throw new Error('FFmpeg produced an empty file');
+        }
+
+        const blob = new Blob([data], { type: 'video/webm' });
+        console.log(`[FFmpeg] WebM VP9 alpha: ${totalFrames} frames, ${(blob.size / 1024 / 1024).toFixed(2)} MB`);
+
+        const filename = getExportFilename('webm_vp9_alpha', fps, 'webm');
+        await downloadBlob(blob, filename);
+        await saveExportMetadata(geometry, fps, exportOptions.range, totalFrames, downloadBlob, filename);
+
+        // Save the video for preview, falling back to the first frame when it is too large
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                localStorage.setItem('lastExportData', reader.result);
+                localStorage.setItem('lastExportType', 'video/webm');
+                previewBtn.disabled = false;
+            } catch (e) {
+                console.log('Video too large for localStorage, saving frame instead');
+                saveExportPreview(firstFrameDataUrl, 'image/webp', previewBtn);
+            }
+        };
+        reader.readAsDataURL(blob);
+
+        progressBarFill.style.width = '100%';
+        progressText.textContent = 'Export complete!';
+    } finally {
+        signal.removeEventListener('abort', onAbort);
+        if (onProgress && ffmpegInstance) {
+            ffmpeg.off('progress', onProgress);
+        }
+
+        // Free the FFmpeg file system (skipped when the worker was terminated)
+        if (ffmpegInstance) {
+            for (const file of [...frameFiles, outputName]) {
+                try {
+                    await ffmpeg.deleteFile(file);
+                } catch (e) {
+                    // Ignore missing files
+                }
+            }
+        }
+    }
+}
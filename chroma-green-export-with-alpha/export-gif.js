@@ -1,234 +1,338 @@
 /**
  * GIF Export Module
  * Exports video as animated GIF with transparency
+ * Frames are captured by seeking, quantized to one global palette (median cut) and encoded with gif.js
  */
 
-async function exportGIF(video, videoCanvas, applyChromaKey, redrawFrame, seekAndWait, downloadBlob, getTimestamp, progressBarFill, progressText, previewBtn, isExporting, isPlaying, drawFrame) {
-    const duration = video.duration;
-    const fpsSelect = document.getElementById('exportFps');
-    const fps = fpsSelect ? parseInt(fpsSelect.value) || 30 : 30;
-    const totalFrames = Math.floor(duration * fps);
-    const frameDelay = 1000 / fps; // Delay between frames in ms
-    
-    // Store dimensions
-    const canvasWidth = video.videoWidth;
-    const canvasHeight = video.videoHeight;
-    
-    if (canvasWidth === 0 || canvasHeight === 0) {
+const GIF_HISTOGRAM_BITS = 5; // Bits per channel kept when counting colours
+const GIF_DITHER_METHODS = ['FloydSteinberg', 'FalseFloydSteinberg', 'Stucki', 'Atkinson'];
+
+// Read GIF options from the export modal
+function getGifOptions() {
+    const paletteSelect = document.getElementById('gifPaletteSize');
+    const ditherSelect = document.getElementById('gifDither');
+    const serpentineInput = document.getElementById('gifSerpentine');
+    const cutoffInput = document.getElementById('gifAlphaCutoff');
+    const matteInput = document.getElementById('gifMatte');
+
+    const dither = GIF_DITHER_METHODS.includes(ditherSelect?.value) ? ditherSelect.value : false;
+    const matteHex = /^#[0-9a-f]{6}$/i.test(matteInput?.value) ? matteInput.value : '#ffffff';
+
+    return {
+        paletteSize: Math.max(2, Math.min(256, parseInt(paletteSelect?.value) || 256)),
+        // gif.js takes the kernel name, with "-serpentine" for alternating scan direction
+        dither: dither && serpentineInput?.checked ? `${dither}-serpentine` : dither,
+        alphaCutoff: Math.max(1, Math.min(255, parseInt(cutoffInput?.value) || 128)),
+        matte: [1, 3, 5].map(i => parseInt(matteHex.substr(i, 2), 16))
+    };
+}
+
+// Flatten a keyed frame for GIF: pixels below the cutoff become transparent, the rest are
+// blended onto the matte colour. Counts opaque colours into the histogram.
+// Returns true if the frame has transparent pixels.
+function prepareGifFrame(imageData, options, histogram) {
+    const data = imageData.data;
+    const [matteR, matteG, matteB] = options.matte;
+    const shift = 8 - GIF_HISTOGRAM_BITS;
+    let hasTransparency = false;
+
+    for (let i = 0; i < data.length; i += 4) {
+        const alpha = data[i + 3];
+        if (alpha < options.alphaCutoff) {
+            // Marked as transparent; the key colour is filled in once the palette is known
+            data[i + 3] = 0;
+            hasTransparency = true;
+            continue;
+        }
+
+        if (alpha < 255) {
+            const a = alpha / 255;
+            data[i] = Math.round(data[i] * a + matteR * (1 - a));
+            data[i + 1] = Math.round(data[i + 1] * a + matteG * (1 - a));
+            data[i + 2] = Math.round(data[i + 2] * a + matteB * (1 - a));
+            data[i + 3] = 255;
+        }
+
+        const bin = ((data[i] >> shift) << (2 * GIF_HISTOGRAM_BITS)) | ((data[i + 1] >> shift) << GIF_HISTOGRAM_BITS) | (data[i + 2] >> shift);
+        histogram.counts[bin]++;
+        histogram.sums[bin * 3] += data[i];
+        histogram.sums[bin * 3 + 1] += data[i + 1];
+        histogram.sums[bin * 3 + 2] += data[i + 2];
+    }
+
+    return hasTransparency;
+}
+
+function createGifHistogram() {
+    const size = 1 << (3 * GIF_HISTOGRAM_BITS);
+    return { counts: new Uint32Array(size), sums: new Float64Array(size * 3) };
+}
+
+// Median cut over the histogram bins; returns up to maxColors [r, g, b] colours
+function medianCutPalette(histogram, maxColors) {
+    const bits = GIF_HISTOGRAM_BITS;
+    const mask = (1 << bits) - 1;
+    const channel = (bin, c) => (bin >> ((2 - c) * bits)) & mask;
+
+    const bins = [];
+    for (let bin = 0; bin < histogram.counts.length; bin++) {
+        if (histogram.counts[bin] > 0) bins.push(bin);
+    }
+    if (bins.length === 0) return [[0, 0, 0]];
+
+    const describe = (boxBins) => {
+        const min = [mask, mask, mask];
+        const max = [0, 0, 0];
+        let count = 0;
+        boxBins.forEach(bin => {
+            count += histogram.counts[bin];
+            for (let c = 0; c < 3; c++) {
+                const value = channel(bin, c);
+                if (value < min[c]) min[c] = value;
+                if (value > max[c]) max[c] = value;
+            }
+        });
+        const ranges = [0, 1, 2].map(c => max[c] - min[c]);
+        const widest = ranges.indexOf(Math.max(...ranges));
+        return { bins: boxBins, count, widest, range: ranges[widest] };
+    };
+
+    const boxes = [describe(bins)];
+    while (boxes.length < maxColors) {
+        // Split the most populated box that still spans more than one bin
+        let target = -1;
+        boxes.forEach((box, index) => {
+            if (box.range > 0 && (target < 0 || box.count > boxes[target].count)) target = index;
+        });
+        if (target < 0) break;
+
+        const box = boxes[target];
+        box.bins.sort((a, b) => channel(a, box.widest) - channel(b, box.widest));
+
+        // Split at the pixel-weighted median, keeping both halves non-empty
+        let seen = 0;
+        let split = 1;
+        for (let i = 0; i < box.bins.length - 1; i++) {
+            seen += histogram.counts[box.bins[i]];
+            split = i + 1;
+            if (seen >= box.count / 2) break;
+        }
+
+        boxes.splice(target, 1, describe(box.bins.slice(0, split)), describe(box.bins.slice(split)));
+    }
+
+    // Each palette entry is the exact average colour of the pixels in its box
+    return boxes.map(box => {
+        const sum = [0, 0, 0];
+        box.bins.forEach(bin => {
+            for (let c = 0; c < 3; c++) sum[c] += histogram.sums[bin * 3 + c];
+        });
+        return sum.map(value => Math.round(value / box.count));
+    });
+}
+
+// Pick a transparent key colour that no frame uses and that is as far as possible from every
+// palette colour, so opaque pixels (and dithering error) never map to it
+function pickTransparentKey(histogram, palette) {
+    const shift = 8 - GIF_HISTOGRAM_BITS;
+    let best = null;
+    let bestDistance = -1;
+
+    for (let r = 0; r < 256; r += 17) {
+        for (let g = 0; g < 256; g += 17) {
+            for (let b = 0; b < 256; b += 17) {
+                const bin = ((r >> shift) << (2 * GIF_HISTOGRAM_BITS)) | ((g >> shift) << GIF_HISTOGRAM_BITS) | (b >> shift);
+                if (histogram.counts[bin] > 0) continue;
+
+                let distance = Infinity;
+                for (const [pr, pg, pb] of palette) {
+                    const d = (r - pr) * (r - pr) + (g - pg) * (g - pg) + (b - pb) * (b - pb);
+                    if (d < distance) distance = d;
+                }
+                if (distance > bestDistance) {
+                    bestDistance = distance;
+                    best = [r, g, b];
+                }
+            }
+        }
+    }
+
+    // Every candidate colour is in use (extremely noisy footage): fall back to magenta
+    return best || [255, 0, 255];
+}
+
+// Frame delays in whole centiseconds (GIF resolution) that add up to the exact clip length
+function getGifFrameDelays(frameCount, fps) {
+    const delays = [];
+    for (let i = 0; i < frameCount; i++) {
+        delays.push((Math.round(((i + 1) * 100) / fps) - Math.round((i * 100) / fps)) * 10);
+    }
+    return delays;
+}
+
+async function exportGIF(video, videoCanvas, applyChromaKey, redrawFrame, seekAndWait, downloadBlob, getExportFilename, progressBarFill, progressText, previewBtn, signal, exportOptions) {
+    const options = getGifOptions();
+    const { start, end } = exportOptions.range;
+    const fps = getExportFps();
+    const totalFrames = Math.floor((end - start) * fps);
+
+    if (video.videoWidth === 0 || video.videoHeight === 0) {
         throw new Error('Video dimensions not available');
     }
-    
-    // Create export canvas - will be resized to match videoCanvas
+
+    video.pause();
+
+    const geometry = await getExportGeometry(video, applyChromaKey, seekAndWait, exportOptions, fps, signal, progressText);
+    if (!geometry) {
+        progressText.textContent = 'Export cancelled';
+        return;
+    }
+
     const exportCanvas = document.createElement('canvas');
+    exportCanvas.width = geometry.width;
+    exportCanvas.height = geometry.height;
     const exportCtx = exportCanvas.getContext('2d', { willReadFrequently: true });
-    
+
     // Create GIF encoder with inline worker
     // Fetch and create blob URL for worker to avoid CORS issues
     let workerBlob;
     try {
         const workerResponse = await fetch('https://cdnjs.cloudflare.com/ajax/libs/gif.js/0.2.0/gif.worker.js');
-        const workerText = await workerResponse.text();
+        let workerText = await workerResponse.text();
+        // gif.js looks the transparent colour up among the colours a frame uses, which turns a real
+        // colour transparent in frames without transparent pixels. With a fixed global palette the
+        // key has its own entry, so look it up in the whole palette instead.
+        const transparentLookup = 'transIndex=this.findClosest(this.transparent,true)';
+        if (workerText.includes(transparentLookup)) {
+            workerText = workerText.replace(transparentLookup, 'transIndex=this.findClosest(this.transparent,false)');
+        } else {
+            console.warn('[GIF] Could not patch transparent colour lookup in gif.worker.js');
+        }
         workerBlob = URL.createObjectURL(new Blob([workerText], { type: 'application/javascript' }));
     } catch (e) {
         console.error('Failed to load GIF worker:', e);
         throw new Error('Failed to initialize GIF encoder');
     }
-    
-    // Reset video to start
-    video.pause();
-    await seekAndWait(video, 0);
-    
-    // Ensure videoCanvas has correct dimensions by redrawing first frame
-    redrawFrame();
-    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
-    
-    // Get actual dimensions from videoCanvas
-    const actualWidth = videoCanvas.width;
-    const actualHeight = videoCanvas.height;
-    
-    if (actualWidth === 0 || actualHeight === 0) {
-        throw new Error('Canvas dimensions not available after frame render');
+
+    // Capture every frame by seeking, so the frame count always matches the FPS
+    const frames = [];
+    const histogram = createGifHistogram();
+    for (let i = 0; i < totalFrames; i++) {
+        const processedData = await captureKeyedFrame(video, exportCtx, applyChromaKey, seekAndWait, start + i / fps, signal, geometry);
+        if (!processedData) break;
+
+        const hasTransparency = prepareGifFrame(processedData, options, histogram);
+        frames.push({ imageData: processedData, hasTransparency });
+
+        const progress = Math.round(((i + 1) / totalFrames) * 100);
+        progressBarFill.style.width = progress + '%';
+        progressText.textContent = `Capturing frames... ${progress}% (${i + 1}/${totalFrames})`;
     }
-    
-    // Set export canvas dimensions
-    exportCanvas.width = actualWidth;
-    exportCanvas.height = actualHeight;
-    
+
+    if (signal.aborted) {
+        frames.length = 0;
+        progressText.textContent = 'Export cancelled';
+        URL.revokeObjectURL(workerBlob);
+        return;
+    }
+
+    // One palette for the whole animation, with the last entry reserved for transparency
+    progressText.textContent = 'Building palette...';
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const palette = medianCutPalette(histogram, options.paletteSize - 1);
+    const key = pickTransparentKey(histogram, palette);
+    palette.push(key);
+    console.log(`[GIF] ${palette.length} colours, transparent key rgb(${key.join(', ')}), dither: ${options.dither || 'none'}, alpha cutoff ${options.alphaCutoff}`);
+
     const gif = new GIF({
         workers: 2,
-        quality: 10,
-        width: actualWidth,
-        height: actualHeight,
+        width: geometry.width,
+        height: geometry.height,
         workerScript: workerBlob,
-        transparent: 0xFF00FF, // Magenta as transparent color (less likely to conflict)
-        background: '#FF00FF'
+        globalPalette: palette.flat(),
+        dither: options.dither,
+        transparent: (key[0] << 16) | (key[1] << 8) | key[2],
+        background: `rgb(${options.matte.join(', ')})`
     });
-    
-    // Play video and capture frames as it renders (similar to WebM export)
-    let frameIndex = 0;
-    let lastCaptureTime = 0;
-    const frameInterval = 1000 / fps; // Time between frames in ms
-    
-    // Start playing the video - ensure animation loop is running
-    video.currentTime = 0;
-    await seekAndWait(video, 0);
-    
-    // Ensure the animation loop is running to update videoCanvas
-    if (!isPlaying) {
-        isPlaying = true;
-        drawFrame(); // Start the animation loop
-    }
-    
-    video.play();
-    
-    // Capture frames as video plays
-    await new Promise((resolve) => {
-        const captureFrame = () => {
-            if (!isExporting || video.ended || video.currentTime >= duration - 0.1) {
-                video.pause();
-                resolve();
-                return;
-            }
-            
-            const currentTime = video.currentTime * 1000; // Convert to ms
-            
-            // Capture frame at the desired FPS interval
-            if (currentTime - lastCaptureTime >= frameInterval) {
-                lastCaptureTime = currentTime;
-                
-                // videoCanvas should already be updated by the drawFrame animation loop
-                // Wait for next frame to ensure canvas is updated
-                requestAnimationFrame(() => {
-                    requestAnimationFrame(() => {
-                        // Ensure exportCanvas matches videoCanvas dimensions
-                        if (exportCanvas.width !== videoCanvas.width || exportCanvas.height !== videoCanvas.height) {
-                            exportCanvas.width = videoCanvas.width;
-                            exportCanvas.height = videoCanvas.height;
-                        }
-                        
-                        // Copy from videoCanvas (which has the chroma-keyed frame) to exportCanvas
-                        exportCtx.clearRect(0, 0, exportCanvas.width, exportCanvas.height);
-                        exportCtx.drawImage(videoCanvas, 0, 0);
-                        
-                        // For GIF: replace transparent pixels with the key color (GIF only supports 1-bit transparency)
-                        const imageData = exportCtx.getImageData(0, 0, exportCanvas.width, exportCanvas.height);
-                        const data = imageData.data;
-                        
-                        // Count visible pixels and validate content
-                        let visiblePixelCount = 0;
-                        let totalPixels = data.length / 4;
-                        
-                        for (let j = 0; j < data.length; j += 4) {
-                            if (data[j + 3] >= 128) {
-                                visiblePixelCount++;
-                            } else {
-                                // Set transparent pixels to magenta (transparent key color for GIF)
-                                data[j] = 255;     // R
-                                data[j + 1] = 0;   // G
-                                data[j + 2] = 255; // B
-                                data[j + 3] = 255; // A (opaque for GIF, but will be made transparent by GIF encoder)
-                            }
-                        }
-                        
-                        // Log first few frames for debugging
-                        const visiblePercentage = (visiblePixelCount / totalPixels) * 100;
-                        if (frameIndex < 3) {
-                            console.log(`Frame ${frameIndex}: ${visiblePercentage.toFixed(2)}% visible pixels`);
-                        }
-                        
-                        exportCtx.putImageData(imageData, 0, 0);
-                        
-                        // Add frame to GIF - gif.js copies the canvas data
-                        gif.addFrame(exportCanvas, { delay: frameDelay, copy: true });
-                        
-                        frameIndex++;
-                        
-                        // Update progress
-                        const progress = Math.round((video.currentTime / duration) * 100);
-                        progressBarFill.style.width = progress + '%';
-                        progressText.textContent = `Capturing frames... ${progress}% (${frameIndex}/${totalFrames})`;
-                    });
-                });
+
+    const delays = getGifFrameDelays(frames.length, fps);
+    frames.forEach((frame, index) => {
+        if (frame.hasTransparency) {
+            const data = frame.imageData.data;
+            for (let i = 0; i < data.length; i += 4) {
+                if (data[i + 3] === 0) {
+                    data[i] = key[0];
+                    data[i + 1] = key[1];
+                    data[i + 2] = key[2];
+                    data[i + 3] = 255;
+                }
             }
-            
-            // Continue capturing
-            requestAnimationFrame(captureFrame);
-        };
-        
-        // Start capturing
-        captureFrame();
-        
-        // Also handle video end event
-        video.onended = () => {
-            video.pause();
-            resolve();
-        };
+        }
+        gif.addFrame(frame.imageData, { delay: delays[index] });
     });
-    
-    if (!isExporting) {
-        progressText.textContent = 'Export cancelled';
-        URL.revokeObjectURL(workerBlob);
-        return;
-    }
-    
+    frames.length = 0;
+
     // Render GIF
     progressText.textContent = 'Encoding GIF...';
-    
+
+    // gif.abort() only kills workers that are busy; idle ones must be terminated too
+    const terminateWorkers = () => {
+        gif.abort();
+        gif.freeWorkers.forEach(worker => worker.terminate());
+        gif.freeWorkers = [];
+    };
+
     await new Promise((resolve, reject) => {
-        gif.on('finished', async (blob) => {
-            // Clean up worker blob URL
+        const onAbort = () => {
+            terminateWorkers();
             URL.revokeObjectURL(workerBlob);
-            
-            // Validate the exported GIF
-            const minSize = 300 * 1024; // 300KB in bytes
-            const fileSizeKB = blob.size / 1024;
-            
-            // Check if file is suspiciously small (likely empty)
-            if (blob.size < minSize) {
-                console.warn(`GIF file size (${blob.size} bytes) is smaller than expected minimum (${minSize} bytes). The export may be empty or corrupted.`);
-                alert(`Warning: The exported GIF file size (${fileSizeKB.toFixed(1)} KB) is smaller than expected. The file may be empty or corrupted.`);
-            } else {
-                // Even if file size is large, validate by checking if it's likely empty
-                // Large empty GIFs can still have significant file size due to encoding overhead
-                console.log(`GIF export completed: ${fileSizeKB.toFixed(1)} KB, ${totalFrames} frames`);
-            }
-            
-            // Get original filename from video element or use default
-            const videoInput = document.getElementById('videoInput');
-            let baseName = 'export';
-            if (videoInput && videoInput.files && videoInput.files[0]) {
-                const fullName = videoInput.files[0].name;
-                const lastDot = fullName.lastIndexOf('.');
-                baseName = lastDot > 0 ? fullName.substring(0, lastDot) : fullName;
-                baseName = baseName.replace(/[^a-zA-Z0-9_-]/g, '_');
-            }
-            const timestamp = getTimestamp();
-            const filename = `${baseName}_gif_${fps}fps_${timestamp}.gif`;
-            await downloadBlob(blob, filename);
-            
-            // Save preview
-            const reader = new FileReader();
-            reader.onload = () => {
-                try {
-                    localStorage.setItem('lastExportData', reader.result);
-                    localStorage.setItem('lastExportType', 'image/gif');
-                    previewBtn.disabled = false;
-                } catch (e) {
-                    console.log('Could not save preview to localStorage:', e);
-                }
-            };
-            reader.readAsDataURL(blob);
-            
-            progressText.textContent = 'Export complete!';
+            progressText.textContent = 'Export cancelled';
             resolve();
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        gif.on('finished', async (blob) => {
+            signal.removeEventListener('abort', onAbort);
+            try {
+                // Clean up workers and worker blob URL
+                terminateWorkers();
+                URL.revokeObjectURL(workerBlob);
+
+                console.log(`GIF export completed: ${(blob.size / 1024).toFixed(1)} KB, ${delays.length} frames`);
+
+                const filename = getExportFilename('gif', fps, 'gif');
+                await downloadBlob(blob, filename);
+                await saveExportMetadata(geometry, fps, exportOptions.range, delays.length, downloadBlob, filename);
+
+                // Save preview
+                const reader = new FileReader();
+                reader.onload = () => {
+                    try {
+                        localStorage.setItem('lastExportData', reader.result);
+                        localStorage.setItem('lastExportType', 'image/gif');
+                        previewBtn.disabled = false;
+                    } catch (e) {
+                        console.log('Could not save preview to localStorage:', e);
+                    }
+                };
+                reader.readAsDataURL(blob);
+
+                progressText.textContent = 'Export complete!';
+                resolve();
+            } catch (error) {
+                // An error here would otherwise leave the export waiting forever
+                terminateWorkers();
+                URL.revokeObjectURL(workerBlob);
+                reject(error);
+            }
         });
-        
+
         gif.on('progress', (p) => {
             const progress = Math.round(p * 100);
             progressBarFill.style.width = progress + '%';
             progressText.textContent = `Encoding GIF... ${progress}%`;
         });
-        
+
         gif.render();
     });
 }
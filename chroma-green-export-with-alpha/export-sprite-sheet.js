@@ -0,0 +1,244 @@
+/**
+ * Sprite Sheet Export Module
+ * Packs chroma-keyed frames into PNG/WebP atlas pages with a Phaser/TexturePacker JSON descriptor
+ */
+
+// Read sprite sheet options from the export modal
+function getSpriteSheetOptions() {
+    const columnsInput = document.getElementById('spriteColumns');
+    const paddingInput = document.getElementById('spritePadding');
+    const trimInput = document.getElementById('spriteTrim');
+    const pageFormatSelect = document.getElementById('spritePageFormat');
+    const maxSizeSelect = document.getElementById('spriteMaxSize');
+
+    return {
+        columns: Math.max(0, parseInt(columnsInput?.value) || 0), // 0 = square-ish grid
+        padding: Math.max(0, parseInt(paddingInput?.value) || 0),
+        trim: trimInput ? trimInput.checked : true,
+        pageFormat: pageFormatSelect?.value === 'webp' ? 'webp' : 'png',
+        maxPageSize: parseInt(maxSizeSelect?.value) || 4096
+    };
+}
+
+// Lay frames out on a uniform grid of cells, splitting into pages that fit maxPageSize
+function layoutSpriteSheet(frames, options) {
+    const { padding, maxPageSize } = options;
+    const cellWidth = Math.max(...frames.map(frame => frame.width));
+    const cellHeight = Math.max(...frames.map(frame => frame.height));
+
+    const maxColumns = Math.floor((maxPageSize - padding) / (cellWidth + padding));
+    const maxRows = Math.floor((maxPageSize - padding) / (cellHeight + padding));
+    if (maxColumns < 1 || maxRows < 1) {
+        throw new Error(`Frames (${cellWidth}x${cellHeight}) do not fit on a ${maxPageSize}px page. Increase the page size or reduce padding.`);
+    }
+
+    const requestedColumns = options.columns || Math.ceil(Math.sqrt(frames.length));
+    const columns = Math.min(requestedColumns, maxColumns, frames.length);
+    if (options.columns > maxColumns) {
+        console.warn(`[Sprite Sheet] ${options.columns} columns do not fit on a ${maxPageSize}px page, using ${columns}`);
+    }
+
+    const framesPerPage = columns * maxRows;
+    const pages = [];
+    for (let first = 0; first < frames.length; first += framesPerPage) {
+        const count = Math.min(framesPerPage, frames.length - first);
+        const rows = Math.ceil(count / columns);
+        const pageColumns = Math.min(columns, count);
+        pages.push({
+            first,
+            count,
+            width: padding + pageColumns * (cellWidth + padding),
+            height: padding + rows * (cellHeight + padding)
+        });
+    }
+
+    // Assign each frame its page and position within the page
+    pages.forEach((page, pageIndex) => {
+        for (let i = 0; i < page.count; i++) {
+            const frame = frames[page.first + i];
+            frame.page = pageIndex;
+            frame.x = padding + (i % columns) * (cellWidth + padding);
+            frame.y = padding + Math.floor(i / columns) * (cellHeight + padding);
+        }
+    });
+
+    return { pages, columns, cellWidth, cellHeight };
+}
+
+// Build the atlas descriptor in Phaser 3 multiatlas format (as written by TexturePacker)
+function buildSpriteSheetDescriptor(frames, layout, pageNames, sourceWidth, sourceHeight, fps, options) {
+    const durations = getFrameDurations(frames.length, fps);
+
+    const textures = layout.pages.map((page, pageIndex) => ({
+        image: pageNames[pageIndex],
+        format: 'RGBA8888',
+        size: { w: page.width, h: page.height },
+        scale: 1,
+        frames: frames
+            .filter(frame => frame.page === pageIndex)
+            .map(frame => ({
+                filename: frame.name,
+                rotated: false,
+                trimmed: frame.trimmed,
+                sourceSize: { w: sourceWidth, h: sourceHeight },
+                spriteSourceSize: { x: frame.offsetX, y: frame.offsetY, w: frame.width, h: frame.height },
+                frame: { x: frame.x, y: frame.y, w: frame.width, h: frame.height },
+                duration: durations[frame.index]
+            }))
+    }));
+
+    return {
+        textures,
+        meta: {
+            app: 'frogfx.tools chroma key',
+            version: '1.0',
+            fps,
+            frameCount: frames.length,
+            columns: layout.columns,
+            padding: options.padding,
+            trimmed: options.trim,
+            animations: {
+                keyed: frames.map(frame => frame.name)
+            }
+        }
+    };
+}
+
+async function exportSpriteSheet(video, videoCanvas, applyChromaKey, redrawFrame, seekAndWait, downloadBlob, getExportFilename, progressBarFill, progressText, previewBtn, signal, exportOptions) {
+    const JSZip = window.JSZip;
+    if (!JSZip) {
+        throw new Error('JSZip library not loaded');
+    }
+
+    const options = getSpriteSheetOptions();
+    const { start, end } = exportOptions.range;
+    const fps = getExportFps();
+    const totalFrames = Math.floor((end - start) * fps);
+
+    if (video.videoWidth === 0 || video.videoHeight === 0) {
+        throw new Error('Video dimensions not available');
+    }
+
+    video.pause();
+
+    const geometry = await getExportGeometry(video, applyChromaKey, seekAndWait, exportOptions, fps, signal, progressText);
+    if (!geometry) {
+        progressText.textContent = 'Export cancelled';
+        return;
+    }
+    // Frames are laid out at the (cropped/scaled) output size
+    const sourceWidth = geometry.width;
+    const sourceHeight = geometry.height;
+
+    const exportCanvas = document.createElement('canvas');
+    exportCanvas.width = sourceWidth;
+    exportCanvas.height = sourceHeight;
+    const exportCtx = exportCanvas.getContext('2d', { willReadFrequently: true });
+
+    // Capture every frame, keeping only the (optionally trimmed) bitmap
+    const frames = [];
+    try {
+        for (let i = 0; i < totalFrames; i++) {
+            const processedData = await captureKeyedFrame(video, exportCtx, applyChromaKey, seekAndWait, start + i / fps, signal, geometry);
+            if (!processedData) break;
+
+            let bounds = { x: 0, y: 0, width: sourceWidth, height: sourceHeight };
+            if (options.trim) {
+                // Fully transparent frames keep a 1x1 rectangle so every frame has an entry
+                bounds = getOpaqueBounds(processedData) || { x: 0, y: 0, width: 1, height: 1 };
+            }
+
+            const bitmap = await createImageBitmap(exportCanvas, bounds.x, bounds.y, bounds.width, bounds.height);
+            frames.push({
+                index: i,
+                name: `frame_${String(i).padStart(5, '0')}`,
+                bitmap,
+                width: bounds.width,
+                height: bounds.height,
+                offsetX: bounds.x,
+                offsetY: bounds.y,
+                trimmed: bounds.width !== sourceWidth || bounds.height !== sourceHeight
+            });
+
+            const progress = Math.round(((i + 1) / totalFrames) * 80);
+            progressBarFill.style.width = progress + '%';
+            progressText.textContent = `Capturing frames... ${i + 1}/${totalFrames}`;
+        }
+
+        if (signal.aborted) {
+            progressText.textContent = 'Export cancelled';
+            return;
+        }
+        if (frames.length === 0) {
+            throw new Error('No frames captured');
+        }
+
+        // Pack frames into pages
+        progressText.textContent = 'Packing sprite sheet...';
+        const layout = layoutSpriteSheet(frames, options);
+        const baseName = 'spritesheet';
+        const pageNames = layout.pages.map((page, pageIndex) =>
+            layout.pages.length === 1 ? `${baseName}.${options.pageFormat}` : `${baseName}_${pageIndex}.${options.pageFormat}`
+        );
+
+        const zip = new JSZip();
+        const mimeType = `image/${options.pageFormat}`;
+        let firstPageDataUrl = null;
+
+        for (let pageIndex = 0; pageIndex < layout.pages.length; pageIndex++) {
+            if (signal.aborted) break;
+
+            const page = layout.pages[pageIndex];
+            const pageCanvas = document.createElement('canvas');
+            pageCanvas.width = page.width;
+            pageCanvas.height = page.height;
+            const pageCtx = pageCanvas.getContext('2d');
+
+            for (let i = page.first; i < page.first + page.count; i++) {
+                pageCtx.drawImage(frames[i].bitmap, frames[i].x, frames[i].y);
+            }
+
+            const pageBlob = await new Promise((resolve, reject) => {
+                pageCanvas.toBlob(blob => blob ? resolve(blob) : reject(new Error(`Failed to encode page ${pageIndex + 1}`)), mimeType, 0.9);
+            });
+            zip.file(pageNames[pageIndex], pageBlob);
+            if (pageIndex === 0) {
+                firstPageDataUrl = pageCanvas.toDataURL(mimeType, 0.9);
+            }
+
+            const progress = 80 + Math.round(((pageIndex + 1) / layout.pages.length) * 15);
+            progressBarFill.style.width = progress + '%';
+            progressText.textContent = `Rendering page ${pageIndex + 1} of ${layout.pages.length}...`;
+        }
+
+        if (signal.aborted) {
+            progressText.textContent = 'Export cancelled';
+            return;
+        }
+
+        const descriptor = buildSpriteSheetDescriptor(frames, layout, pageNames, sourceWidth, sourceHeight, fps, options);
+        if (!isFullFrameGeometry(geometry)) {
+            // Where the sprites sit in the original video
+            descriptor.meta.export = getExportMetadata(geometry, fps, exportOptions.range, frames.length);
+        }
+        zip.file(`${baseName}.json`, JSON.stringify(descriptor, null, 2));
+        await saveExportQualityReport(exportOptions, blob => zip.file('quality.json', blob));
+
+        console.log(`[Sprite Sheet] ${frames.length} frames on ${layout.pages.length} page(s), cell ${layout.cellWidth}x${layout.cellHeight}, ${layout.columns} columns`);
+
+        progressText.textContent = 'Creating ZIP file...';
+        const zipBlob = await zip.generateAsync({ type: 'blob' });
+        if (signal.aborted) {
+            progressText.textContent = 'Export cancelled';
+            return;
+        }
+
+        await downloadBlob(zipBlob, getExportFilename('spritesheet', fps, 'zip'));
+        saveExportPreview(firstPageDataUrl, mimeType, previewBtn);
+
+        progressBarFill.style.width = '100%';
+        progressText.textContent = 'Export complete!';
+    } finally {
+        frames.forEach(frame => frame.bitmap.close());
+    }
+}
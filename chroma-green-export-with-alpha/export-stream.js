@@ -0,0 +1,326 @@
+/**
+ * Export Stream Module
+ * Writes export output incrementally so long clips do not have to fit in memory:
+ * straight to disk with the File System Access API, or as Blob parts for a normal download,
+ * plus a store-only ZIP writer (ZIP64 when the archive grows past 4 GB)
+ */
+
+const ZIP_LOCAL_HEADER_SIGNATURE = 0x04034B50;
+const ZIP_CENTRAL_HEADER_SIGNATURE = 0x02014B50;
+const ZIP_END_SIGNATURE = 0x06054B50;
+const ZIP64_END_SIGNATURE = 0x06064B50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064B50;
+const ZIP_VERSION = 20;
+const ZIP64_VERSION = 45;
+const ZIP_UINT32_MAX = 0xFFFFFFFF;
+const ZIP_UINT16_MAX = 0xFFFF;
+
+function supportsFileSystemAccess() {
+    return typeof window.showSaveFilePicker === 'function' && typeof window.showDirectoryPicker === 'function';
+}
+
+// Read where the export should go: 'download', 'file' (streamed to a chosen file) or 'folder'
+function getExportDestination() {
+    const destinationSelect = document.getElementById('exportDestination');
+    const destination = destinationSelect ? destinationSelect.value : 'download';
+    return destination !== 'download' && !supportsFileSystemAccess() ? 'download' : destination;
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+}
+
+function isPickerDismissed(error) {
+    return error && error.name === 'AbortError';
+}
+
+// Encode a canvas as a Blob without going through a base64 data URL
+function canvasToBlob(canvas, mimeType, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error(`Failed to encode ${mimeType}`)), mimeType, quality);
+    });
+}
+
+/**
+ * Open a single output file.
+ * Returns null when the user dismisses the file/folder picker, otherwise
+ * { write(data), patch(position, data), close() → Blob, abort(), bytesWritten, savedToDisk }.
+ * patch() overwrites bytes written earlier (e.g. a header whose sizes are only known at the end);
+ * call it right before close(). When saving into a folder it also has addSiblingFile(name, blob),
+ * which writes another file next to the output. Without the File System Access API the data is kept as Blob parts,
+ * which the browser may page out to disk, and close() returns the Blob to download.
+ */
+async function openFileSink(filename, mimeType, destination) {
+    let fileHandle = null;
+    let directoryHandle = null;
+
+    try {
+        if (destination === 'file') {
+            const extension = filename.slice(filename.lastIndexOf('.'));
+            fileHandle = await window.showSaveFilePicker({
+                suggestedName: filename,
+                types: [{ description: 'Export', accept: { [mimeType]: [extension] } }]
+            });
+        } else if (destination === 'folder') {
+            directoryHandle = await window.showDirectoryPicker({ mode: 'readwrite' });
+            fileHandle = await directoryHandle.getFileHandle(filename, { create: true });
+        }
+    } catch (error) {
+        if (isPickerDismissed(error)) return null;
+        throw error;
+    }
+
+    let bytesWritten = 0;
+
+    if (fileHandle) {
+        const writable = await fileHandle.createWritable();
+        let closed = false;
+        return {
+            savedToDisk: true,
+            get bytesWritten() {
+                return bytesWritten;
+            },
+            write: async (data) => {
+                await writable.write(data);
+                bytesWritten += data.size !== undefined ? data.size : data.byteLength;
+            },
+            patch: async (position, data) => {
+                await writable.write({ type: 'write', position, data });
+            },
+            close: async () => {
+                await writable.close();
+                closed = true;
+                return fileHandle.getFile();
+            },
+            abort: async () => {
+                // Discards the pending data; a file created in the chosen folder is removed as well
+                if (closed) return;
+                await writable.abort();
+                if (directoryHandle) {
+                    await directoryHandle.removeEntry(filename).catch(() => {});
+                }
+            },
+            addSiblingFile: directoryHandle ? async (name, blob) => {
+                const siblingWritable = await (await directoryHandle.getFileHandle(name, { create: true })).createWritable();
+                try {
+                    await siblingWritable.write(blob);
+                    await siblingWritable.close();
+                } catch (error) {
+                    await siblingWritable.abort().catch(() => {});
+                    throw error;
+                }
+            } : undefined
+        };
+    }
+
+    // Browser download: written chunks become Blob parts so no single large buffer is built
+    const parts = [];
+    const partOffsets = [];
+    return {
+        savedToDisk: false,
+        get bytesWritten() {
+            return bytesWritten;
+        },
+        write: async (data) => {
+            const part = data instanceof Blob ? data : new Blob([data]);
+            partOffsets.push(bytesWritten);
+            parts.push(part);
+            bytesWritten += part.size;
+        },
+        patch: async (position, data) => {
+            // Only whole, previously written chunks can be replaced
+            const index = partOffsets.indexOf(position);
+            if (index < 0 || parts[index].size !== data.byteLength) {
+                throw new Error(`Cannot patch ${data.byteLength} bytes at offset ${position}`);
+            }
+            parts[index] = new Blob([data]);
+        },
+        close: async () => new Blob(parts, { type: mimeType }),
+        abort: async () => {
+            parts.length = 0;
+        }
+    };
+}
+
+/**
+ * Open an output folder for a frame sequence: a new sub-folder named folderName inside
+ * the folder the user picks. Returns null when the picker is dismissed, otherwise
+ * { addFile(name, blob), close(), abort(), bytesWritten, savedToDisk }.
+ */
+async function openFolderSink(folderName) {
+    let folderHandle;
+    let parentHandle;
+    try {
+        parentHandle = await window.showDirectoryPicker({ mode: 'readwrite' });
+        folderHandle = await parentHandle.getDirectoryHandle(folderName, { create: true });
+    } catch (error) {
+        if (isPickerDismissed(error)) return null;
+        throw error;
+    }
+
+    let bytesWritten = 0;
+    return {
+        savedToDisk: true,
+        get bytesWritten() {
+            return bytesWritten;
+        },
+        addFile: async (name, blob) => {
+            const fileHandle = await folderHandle.getFileHandle(name, { create: true });
+            const writable = await fileHandle.createWritable();
+            try {
+                await writable.write(blob);
+                await writable.close();
+            } catch (error) {
+                await writable.abort().catch(() => {});
+                throw error;
+            }
+            bytesWritten += blob.size;
+        },
+        close: async () => null,
+        abort: async () => {
+            await parentHandle.removeEntry(folderName, { recursive: true }).catch(() => {});
+        }
+    };
+}
+
+// MS-DOS date and time fields for ZIP headers
+function getZipDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+function setUint64LE(view, offset, value) {
+    view.setUint32(offset, value % 0x100000000, true);
+    view.setUint32(offset + 4, Math.floor(value / 0x100000000), true);
+}
+
+/**
+ * Create a ZIP writer on top of a file sink. Entries are stored uncompressed, which suits
+ * frames that are already PNG/WebP compressed, and each entry is written as soon as it is added.
+ * Returns { addFile(name, blob), close() → Blob, abort(), bytesWritten, savedToDisk }.
+ */
+function createZipWriter(sink) {
+    const entries = [];
+    const { time, day } = getZipDateTime(new Date());
+    const encoder = new TextEncoder();
+
+    const addFile = async (name, blob) => {
+        const data = new Uint8Array(await blob.arrayBuffer());
+        if (data.length >= ZIP_UINT32_MAX) {
+            throw new Error(`${name} is too large for a ZIP entry`);
+        }
+        const nameBytes = encoder.encode(name);
+        const checksum = (crc32(data) ^ 0xFFFFFFFF) >>> 0;
+
+        const header = new Uint8Array(30 + nameBytes.length);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, ZIP_LOCAL_HEADER_SIGNATURE, true);
+        view.setUint16(4, ZIP_VERSION, true);
+        view.setUint16(6, 0x0800, true); // UTF-8 file names
+        view.setUint16(8, 0, true); // Stored
+        view.setUint16(10, time, true);
+        view.setUint16(12, day, true);
+        view.setUint32(14, checksum, true);
+        view.setUint32(18, data.length, true);
+        view.setUint32(22, data.length, true);
+        view.setUint16(26, nameBytes.length, true);
+        header.set(nameBytes, 30);
+
+        entries.push({ nameBytes, checksum, size: data.length, offset: sink.bytesWritten });
+        await sink.write(header);
+        await sink.write(blob);
+    };
+
+    // Central directory and end records; ZIP64 records are added only when the limits are exceeded
+    const close = async () => {
+        const centralOffset = sink.bytesWritten;
+        let centralSize = 0;
+
+        for (const entry of entries) {
+            const needsZip64 = entry.offset >= ZIP_UINT32_MAX;
+            const extraLength = needsZip64 ? 12 : 0;
+            const record = new Uint8Array(46 + entry.nameBytes.length + extraLength);
+            const view = new DataView(record.buffer);
+            view.setUint32(0, ZIP_CENTRAL_HEADER_SIGNATURE, true);
+            view.setUint16(4, needsZip64 ? ZIP64_VERSION : ZIP_VERSION, true);
+            view.setUint16(6, needsZip64 ? ZIP64_VERSION : ZIP_VERSION, true);
+            view.setUint16(8, 0x0800, true);
+            view.setUint16(10, 0, true);
+            view.setUint16(12, time, true);
+            view.setUint16(14, day, true);
+            view.setUint32(16, entry.checksum, true);
+            view.setUint32(20, entry.size, true);
+            view.setUint32(24, entry.size, true);
+            view.setUint16(28, entry.nameBytes.length, true);
+            view.setUint16(30, extraLength, true);
+            view.setUint32(42, needsZip64 ? ZIP_UINT32_MAX : entry.offset, true);
+            record.set(entry.nameBytes, 46);
+            if (needsZip64) {
+                const extraOffset = 46 + entry.nameBytes.length;
+                view.setUint16(extraOffset, 0x0001, true);
+                view.setUint16(extraOffset + 2, 8, true);
+                setUint64LE(view, extraOffset + 4, entry.offset);
+            }
+            await sink.write(record);
+            centralSize += record.length;
+        }
+
+        const needsZip64 = entries.length >= ZIP_UINT16_MAX || centralOffset >= ZIP_UINT32_MAX || centralSize >= ZIP_UINT32_MAX;
+        if (needsZip64) {
+            const zip64EndOffset = sink.bytesWritten;
+            const records = new Uint8Array(56 + 20);
+            const view = new DataView(records.buffer);
+            view.setUint32(0, ZIP64_END_SIGNATURE, true);
+            setUint64LE(view, 4, 44);
+            view.setUint16(12, ZIP64_VERSION, true);
+            view.setUint16(14, ZIP64_VERSION, true);
+            setUint64LE(view, 24, entries.length);
+            setUint64LE(view, 32, entries.length);
+            setUint64LE(view, 40, centralSize);
+            setUint64LE(view, 48, centralOffset);
+            view.setUint32(56, ZIP64_LOCATOR_SIGNATURE, true);
+            setUint64LE(view, 64, zip64EndOffset);
+            view.setUint32(72, 1, true);
+            await sink.write(records);
+        }
+
+        const end = new Uint8Array(22);
+        const view = new DataView(end.buffer);
+        view.setUint32(0, ZIP_END_SIGNATURE, true);
+        view.setUint16(8, Math.min(entries.length, ZIP_UINT16_MAX), true);
+        view.setUint16(10, Math.min(entries.length, ZIP_UINT16_MAX), true);
+        view.setUint32(12, Math.min(centralSize, ZIP_UINT32_MAX), true);
+        view.setUint32(16, Math.min(centralOffset, ZIP_UINT32_MAX), true);
+        await sink.write(end);
+
+        entries.length = 0;
+        return sink.close();
+    };
+
+    return {
+        addFile,
+        close,
+        abort: () => sink.abort(),
+        savedToDisk: sink.savedToDisk,
+        get bytesWritten() {
+            return sink.bytesWritten;
+        }
+    };
+}
+
+/**
+ * Open the output for a numbered frame sequence: a ZIP (downloaded or streamed to a file)
+ * or loose files in a folder, depending on the chosen destination.
+ * Returns null when the user dismisses the picker.
+ */
+async function openFrameSequenceOutput(zipFilename, destination) {
+    if (destination === 'folder') {
+        return openFolderSink(zipFilename.replace(/\.zip$/, ''));
+    }
+    const sink = await openFileSink(zipFilename, 'application/zip', destination);
+    return sink ? createZipWriter(sink) : null;
+}
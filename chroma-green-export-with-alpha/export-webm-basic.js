@@ -3,8 +3,11 @@
  * Exports video as WebM using MediaRecorder API
  */
 
-async function exportWebMBasic(video, videoCanvas, seekAndWait, downloadBlob, getTimestamp, progressBarFill, progressText, previewBtn, isExporting) {
+async function exportWebMBasic(video, videoCanvas, seekAndWait, downloadBlob, getExportFilename, progressBarFill, progressText, previewBtn, signal, exportOptions) {
     const duration = video.duration;
+    const { start, end } = exportOptions.range;
+    // Playback rarely lands exactly on the clip end, so stop just short of it
+    const stopTime = Math.min(end, duration - 0.1);
     const fpsSelect = document.getElementById('exportFps');
     const fps = fpsSelect ? parseInt(fpsSelect.value) || 30 : 30;
     
@@ -32,9 +35,24 @@ async function exportWebMBasic(video, videoCanvas, seekAndWait, downloadBlob, ge
         }
     };
     
-    // Reset video to start
+    // Release the capture stream and recorded data without producing a file
+    const discardRecording = () => {
+        if (mediaRecorder.state !== 'inactive') {
+            mediaRecorder.ondataavailable = null;
+            mediaRecorder.stop();
+        }
+        stream.getTracks().forEach(track => track.stop());
+        chunks.length = 0;
+        progressText.textContent = 'Export cancelled';
+    };
+    
+    // Seek video to the start of the export range
     video.pause();
-    await seekAndWait(video, 0);
+    await seekAndWait(video, start, signal);
+    if (signal.aborted) {
+        discardRecording();
+        return;
+    }
     
     // Start recording with chunks every 100ms
     mediaRecorder.start(100);
@@ -44,33 +62,36 @@ async function exportWebMBasic(video, videoCanvas, seekAndWait, downloadBlob, ge
     
     // Wait for video to finish playing, updating progress
     await new Promise((resolve) => {
+        const finish = () => {
+            clearInterval(checkProgress);
+            signal.removeEventListener('abort', finish);
+            resolve();
+        };
+        
+        // Poll often enough to stop close to the out point
         const checkProgress = setInterval(() => {
-            if (!isExporting) {
-                clearInterval(checkProgress);
-                video.pause();
-                mediaRecorder.stop();
-                resolve();
-                return;
-            }
-            
-            const progress = Math.round((video.currentTime / duration) * 100);
+            const progress = Math.min(100, Math.round(((video.currentTime - start) / (end - start)) * 100));
             progressBarFill.style.width = progress + '%';
             progressText.textContent = `Recording... ${progress}%`;
             
-            if (video.ended || video.currentTime >= duration - 0.1) {
-                clearInterval(checkProgress);
-                resolve();
+            if (video.ended || video.currentTime >= stopTime) {
+                finish();
             }
-        }, 100);
+        }, 20);
         
-        video.onended = () => {
-            clearInterval(checkProgress);
-            resolve();
-        };
+        video.onended = finish;
+        signal.addEventListener('abort', finish);
     });
+    video.onended = null;
     
     // Stop video and recording
     video.pause();
+    
+    if (signal.aborted) {
+        discardRecording();
+        return;
+    }
+    
     progressText.textContent = 'Finalizing video...';
     
     const blob = await new Promise((resolve) => {
@@ -79,18 +100,14 @@ async function exportWebMBasic(video, videoCanvas, seekAndWait, downloadBlob, ge
         };
         mediaRecorder.stop();
     });
+    stream.getTracks().forEach(track => track.stop());
     
-    // Get original filename from video element or use default
-    const videoInput = document.getElementById('videoInput');
-    let baseName = 'export';
-    if (videoInput && videoInput.files && videoInput.files[0]) {
-        const fullName = videoInput.files[0].name;
-        const lastDot = fullName.lastIndexOf('.');
-        baseName = lastDot > 0 ? fullName.substring(0, lastDot) : fullName;
-        baseName = baseName.replace(/[^a-zA-Z0-9_-]/g, '_');
+    if (signal.aborted) {
+        progressText.textContent = 'Export cancelled';
+        return;
     }
-    const timestamp = getTimestamp();
-    const filename = `${baseName}_webm_${fps}fps_${timestamp}.webm`;
+    
+    const filename = getExportFilename('webm', fps, 'webm');
     
     // Download the video (cross-browser compatible)
     await downloadBlob(blob, filename);
@@ -115,7 +132,7 @@ async function exportWebMBasic(video, videoCanvas, seekAndWait, downloadBlob, ge
     }
     
     async function saveFirstFrameForPreview() {
-        await seekAndWait(video, 0);
+        await seekAndWait(video, start);
         const previewCanvas = document.createElement('canvas');
         previewCanvas.width = canvasWidth;
         previewCanvas.height = canvasHeight;
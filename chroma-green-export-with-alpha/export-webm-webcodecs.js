@@ -0,0 +1,245 @@
+/**
+ * WebM WebCodecs Export Module
+ * Seeks frame by frame and encodes VP8/VP9 with alpha through WebCodecs VideoEncoder
+ * Colour and alpha are encoded as two streams and muxed as Block + BlockAdditional (see webm-muxer.js)
+ */
+
+const WEBCODECS_CODECS = {
+    vp9: 'vp09.00.10.08', // Profile 0, level 1.0, 8-bit
+    vp8: 'vp8'
+};
+
+// Read WebCodecs WebM options from the export modal
+function getWebCodecsOptions() {
+    const codecSelect = document.getElementById('webcodecsCodec');
+    const bitrateSelect = document.getElementById('webcodecsBitrate');
+
+    return {
+        codec: codecSelect?.value === 'vp8' ? 'vp8' : 'vp9',
+        bitrate: (parseFloat(bitrateSelect?.value) || 8) * 1000000
+    };
+}
+
+// Fill an I420 buffer whose luma plane is the alpha channel (chroma neutral)
+// The alpha stream is decoded as a greyscale picture, so alpha must map to Y without range scaling
+function fillAlphaPlane(imageData, i420) {
+    const { data, width, height } = imageData;
+    const lumaSize = width * height;
+    for (let i = 0; i < lumaSize; i++) {
+        i420[i] = data[i * 4 + 3];
+    }
+    i420.fill(128, lumaSize);
+}
+
+async function exportWebMWebCodecs(video, videoCanvas, applyChromaKey, redrawFrame, seekAndWait, downloadBlob, getExportFilename, progressBarFill, progressText, previewBtn, signal, exportOptions) {
+    if (typeof VideoEncoder === 'undefined' || typeof VideoFrame === 'undefined') {
+        throw new Error('WebCodecs is not supported in this browser. Use Chrome/Edge 94+ or choose another format.');
+    }
+
+    const options = getWebCodecsOptions();
+    const { start, end } = exportOptions.range;
+    const fps = getExportFps();
+    const totalFrames = Math.floor((end - start) * fps);
+
+    if (video.videoWidth === 0 || video.videoHeight === 0) {
+        throw new Error('Video dimensions not available');
+    }
+
+    video.pause();
+
+    const geometry = await getExportGeometry(video, applyChromaKey, seekAndWait, exportOptions, fps, signal, progressText);
+    if (!geometry) {
+        progressText.textContent = 'Export cancelled';
+        return;
+    }
+    const frameWidth = geometry.width;
+    const frameHeight = geometry.height;
+
+    // 4:2:0 frames need even dimensions; odd sizes are padded and cropped again by the container
+    const encodeWidth = frameWidth + (frameWidth & 1);
+    const encodeHeight = frameHeight + (frameHeight & 1);
+
+    const encoderConfig = {
+        codec: WEBCODECS_CODECS[options.codec],
+        width: encodeWidth,
+        height: encodeHeight,
+        bitrate: options.bitrate,
+        framerate: fps,
+        latencyMode: 'quality'
+    };
+    const support = await VideoEncoder.isConfigSupported(encoderConfig);
+    if (!support.supported) {
+        throw new Error(`${options.codec.toUpperCase()} encoding at ${encodeWidth}x${encodeHeight} is not supported by this browser`);
+    }
+
+    // Frames are keyed at the output size, then copied into the padded encode canvas
+    const frameCanvas = document.createElement('canvas');
+    frameCanvas.width = frameWidth;
+    frameCanvas.height = frameHeight;
+    const frameCtx = frameCanvas.getContext('2d', { willReadFrequently: true });
+    const exportCanvas = document.createElement('canvas');
+    exportCanvas.width = encodeWidth;
+    exportCanvas.height = encodeHeight;
+    const exportCtx = exportCanvas.getContext('2d', { willReadFrequently: true });
+
+    // Encoded chunks arrive in input order; pair colour and alpha by frame index
+    const colorChunks = [];
+    const alphaChunks = [];
+    let encoderError = null;
+
+    const createEncoder = (chunks) => new VideoEncoder({
+        output: (chunk) => {
+            const data = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(data);
+            chunks.push({ data, isKey: chunk.type === 'key' });
+        },
+        error: (e) => {
+            encoderError = e;
+        }
+    });
+
+    const colorEncoder = createEncoder(colorChunks);
+    const alphaEncoder = createEncoder(alphaChunks);
+    colorEncoder.configure(encoderConfig);
+    // Alpha mattes are mostly flat, so half the bitrate is plenty
+    alphaEncoder.configure({ ...encoderConfig, bitrate: Math.round(options.bitrate / 2) });
+
+    const closeEncoders = () => {
+        [colorEncoder, alphaEncoder].forEach(encoder => {
+            if (encoder.state !== 'closed') encoder.close();
+        });
+    };
+
+    const muxer = createWebMMuxer({
+        codec: options.codec,
+        width: encodeWidth,
+        height: encodeHeight,
+        displayWidth: frameWidth,
+        displayHeight: frameHeight,
+        fps,
+        hasAlpha: true
+    });
+    const frameDurations = getFrameDurations(totalFrames, fps);
+    let muxedFrames = 0;
+    let timestampMs = 0;
+
+    // Move every frame that has both its colour and alpha chunk into the muxer
+    const muxReadyFrames = () => {
+        while (muxedFrames < colorChunks.length && muxedFrames < alphaChunks.length) {
+            const color = colorChunks[muxedFrames];
+            const alpha = alphaChunks[muxedFrames];
+            muxer.addFrame(color.data, alpha.data, color.isKey && alpha.isKey, timestampMs);
+            // Muxed data is owned by the muxer now
+            colorChunks[muxedFrames] = alphaChunks[muxedFrames] = null;
+            timestampMs += frameDurations[muxedFrames];
+            muxedFrames++;
+        }
+    };
+
+    // Key frame every two seconds so the result stays seekable
+    const keyFrameInterval = Math.max(1, fps * 2);
+    const i420 = new Uint8Array(encodeWidth * encodeHeight * 3 / 2);
+    let firstFrameDataUrl = null;
+
+    try {
+        for (let i = 0; i < totalFrames; i++) {
+            // Frames are captured at the display size; the padding column/row stays transparent
+            const frameData = await captureKeyedFrame(video, frameCtx, applyChromaKey, seekAndWait, start + i / fps, signal, geometry);
+            if (!frameData) break;
+            if (i === 0) {
+                firstFrameDataUrl = frameCanvas.toDataURL('image/webp', 0.9);
+            }
+
+            exportCtx.clearRect(0, 0, encodeWidth, encodeHeight);
+            exportCtx.putImageData(frameData, 0, 0);
+            const processedData = exportCtx.getImageData(0, 0, encodeWidth, encodeHeight);
+
+            if (encoderError) throw encoderError;
+
+            // Timestamps in microseconds; RGBX keeps straight (unpremultiplied) colour under transparent pixels
+            const timestamp = Math.round((i * 1000000) / fps);
+            const duration = frameDurations[i] * 1000;
+            const keyFrame = i % keyFrameInterval === 0;
+
+            const colorFrame = new VideoFrame(processedData.data, {
+                format: 'RGBX',
+                codedWidth: encodeWidth,
+                codedHeight: encodeHeight,
+                timestamp,
+                duration
+            });
+            colorEncoder.encode(colorFrame, { keyFrame });
+            colorFrame.close();
+
+            fillAlphaPlane(processedData, i420);
+            const alphaFrame = new VideoFrame(i420, {
+                format: 'I420',
+                codedWidth: encodeWidth,
+                codedHeight: encodeHeight,
+                timestamp,
+                duration
+            });
+            alphaEncoder.encode(alphaFrame, { keyFrame });
+            alphaFrame.close();
+
+            muxReadyFrames();
+
+            // Let the encoders catch up so queued frames do not pile up in memory
+            while (colorEncoder.encodeQueueSize + alphaEncoder.encodeQueueSize > 8 && !encoderError) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+
+            const progress = Math.round(((i + 1) / totalFrames) * 90);
+            progressBarFill.style.width = progress + '%';
+            progressText.textContent = `Encoding frames... ${i + 1}/${totalFrames}`;
+        }
+
+        if (signal.aborted) {
+            closeEncoders();
+            progressText.textContent = 'Export cancelled';
+            return;
+        }
+
+        progressText.textContent = 'Finalizing video...';
+        await Promise.all([colorEncoder.flush(), alphaEncoder.flush()]);
+        if (encoderError) throw encoderError;
+        muxReadyFrames();
+        closeEncoders();
+
+        if (muxedFrames !== totalFrames) {
+            throw new Error(`Encoder returned ${muxedFrames} of ${totalFrames} frames`);
+        }
+
+        const blob = muxer.finalize(timestampMs);
+        console.log(`[WebCodecs] ${totalFrames} ${options.codec.toUpperCase()} frames with alpha, ${(blob.size / 1024 / 1024).toFixed(2)} MB`);
+
+        if (signal.aborted) {
+            progressText.textContent = 'Export cancelled';
+            return;
+        }
+
+        const filename = getExportFilename(`webm_${options.codec}_alpha`, fps, 'webm');
+        await downloadBlob(blob, filename);
+        await saveExportMetadata(geometry, fps, exportOptions.range, totalFrames, downloadBlob, filename);
+
+        // Save the video for preview, falling back to the first frame when it is too large
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                localStorage.setItem('lastExportData', reader.result);
+                localStorage.setItem('lastExportType', 'video/webm');
+                previewBtn.disabled = false;
+            } catch (e) {
+                console.log('Video too large for localStorage, saving frame instead');
+                saveExportPreview(firstFrameDataUrl, 'image/webp', previewBtn);
+            }
+        };
+        reader.readAsDataURL(blob);
+
+        progressBarFill.style.width = '100%';
+        progressText.textContent = 'Export complete!';
+    } catch (error) {
+        closeEncoders();
+        throw error;
+    }
+}
@@ -1,19 +1,13 @@
 /**
  * WebP Frames Export Module
- * Exports video frames as WebP images in a ZIP file
+ * Exports video frames as WebP images in a ZIP file or a folder
  */
 
-async function exportWebPFrames(video, videoCanvas, applyChromaKey, redrawFrame, seekAndWait, downloadBlob, getTimestamp, progressBarFill, progressText, previewBtn, isExporting) {
-    const JSZip = window.JSZip;
-    if (!JSZip) {
-        throw new Error('JSZip library not loaded');
-    }
-
-    const zip = new JSZip();
-    const duration = video.duration;
-    const fpsSelect = document.getElementById('exportFps');
-    const fps = fpsSelect ? parseInt(fpsSelect.value) || 30 : 30;
-    const totalFrames = Math.floor(duration * fps);
+async function exportWebPFrames(video, videoCanvas, applyChromaKey, redrawFrame, seekAndWait, downloadBlob, getExportFilename, progressBarFill, progressText, previewBtn, signal, exportOptions) {
+    const { start, end } = exportOptions.range;
+    const fps = getExportFps();
+    const totalFrames = Math.floor((end - start) * fps);
+    const zipFilename = getExportFilename('webp', fps, 'zip');
     
     // Create a dedicated export canvas
     const exportCanvas = document.createElement('canvas');
@@ -26,122 +20,128 @@ async function exportWebPFrames(video, videoCanvas, applyChromaKey, redrawFrame,
         throw new Error('Video dimensions not available');
     }
     
-    // Set export canvas dimensions
-    exportCanvas.width = canvasWidth;
-    exportCanvas.height = canvasHeight;
+    // Frames are written as they are captured (ZIP or folder), so memory does not grow with the clip
+    // Opened before any other await: the file/folder pickers need the click that started the export
+    const output = await openFrameSequenceOutput(zipFilename, getExportDestination());
+    if (!output) {
+        progressText.textContent = 'Export cancelled';
+        return;
+    }
     
-    // Pause video and reset to start
+    // Pause video and seek to the start of the export range
     video.pause();
-    await seekAndWait(video, 0);
     
-    // Wait for video to be ready
+    // Optional auto-crop (needs its own pass over the range) and output scaling
+    const geometry = await getExportGeometry(video, applyChromaKey, seekAndWait, exportOptions, fps, signal, progressText);
+    if (!geometry) {
+        await output.abort();
+        progressText.textContent = 'Export cancelled';
+        return;
+    }
+    
+    // Set export canvas dimensions
+    exportCanvas.width = geometry.width;
+    exportCanvas.height = geometry.height;
+    
+    await seekAndWait(video, start, signal);
+    
+    // Wait for video to be ready (a stalled video must not keep the output open after Cancel)
     while (video.readyState < 2) {
         await new Promise(resolve => setTimeout(resolve, 10));
+        if (signal.aborted) {
+            await output.abort();
+            progressText.textContent = 'Export cancelled';
+            return;
+        }
     }
     
     // Ensure videoCanvas has correct dimensions by redrawing first frame
     redrawFrame();
     await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
     
-    for (let i = 0; i < totalFrames; i++) {
-        if (!isExporting) break;
-        
-        // Seek to frame time
-        const frameTime = i / fps;
-        await seekAndWait(video, frameTime);
-        
-        // Wait for video to be ready to draw
-        while (video.readyState < 2) {
-            await new Promise(resolve => setTimeout(resolve, 10));
-        }
-        
-        // Wait a bit more to ensure frame is fully decoded
-        await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
-        
-        // Capture directly from video with chroma key applied to exportCanvas
-        exportCtx.clearRect(0, 0, exportCanvas.width, exportCanvas.height);
-        exportCtx.drawImage(video, 0, 0, exportCanvas.width, exportCanvas.height);
-        
-        // Apply chroma key to the export canvas
-        const frameImageData = exportCtx.getImageData(0, 0, exportCanvas.width, exportCanvas.height);
-        const processedData = applyChromaKey(frameImageData);
-        exportCtx.putImageData(processedData, 0, 0);
-        
-        // Get WebP data
-        const dataUrl = exportCanvas.toDataURL('image/webp', 0.9);
-        const base64Data = dataUrl.split(',')[1];
-        
-        // Validate frame is not empty (empty frames are ~3KB)
-        const minFrameSize = 5000; // 5KB minimum (empty frames are ~3KB)
-        const frameSize = (base64Data.length * 3) / 4; // Approximate binary size from base64
-        
-        if (frameSize < minFrameSize && i < 3) {
-            console.warn(`Frame ${i} appears to be empty (${(frameSize / 1024).toFixed(1)} KB). Check chroma key settings.`);
-        }
-        
-        // Validate frame has content by checking pixel data
-        const validationData = processedData.data;
-        let visiblePixelCount = 0;
-        for (let j = 0; j < validationData.length; j += 4) {
-            if (validationData[j + 3] >= 128) {
-                visiblePixelCount++;
+    let firstFrameDataUrl = null;
+    try {
+        for (let i = 0; i < totalFrames; i++) {
+            if (signal.aborted) break;
+            
+            // Seek to frame time and capture it with the chroma key (and crop/scale) applied to exportCanvas
+            const frameTime = start + i / fps;
+            const processedData = await captureKeyedFrame(video, exportCtx, applyChromaKey, seekAndWait, frameTime, signal, geometry);
+            if (!processedData) break;
+            
+            if (i === 0) {
+                firstFrameDataUrl = exportCanvas.toDataURL('image/webp', 0.9);
             }
+            
+            // Get WebP data
+            const frameBlob = await canvasToBlob(exportCanvas, 'image/webp', 0.9);
+            
+            // Validate frame is not empty (empty frames are ~3KB)
+            const minFrameSize = 5000; // 5KB minimum (empty frames are ~3KB)
+            const frameSize = frameBlob.size;
+            
+            if (frameSize < minFrameSize && i < 3) {
+                console.warn(`Frame ${i} appears to be empty (${(frameSize / 1024).toFixed(1)} KB). Check chroma key settings.`);
+            }
+            
+            // Validate frame has content by checking pixel data
+            const validationData = processedData.data;
+            let visiblePixelCount = 0;
+            for (let j = 0; j < validationData.length; j += 4) {
+                if (validationData[j + 3] >= 128) {
+                    visiblePixelCount++;
+                }
+            }
+            const visiblePercentage = (visiblePixelCount / (validationData.length / 4)) * 100;
+            
+            if (visiblePercentage < 1 && i < 3) {
+                console.warn(`Frame ${i} has only ${visiblePercentage.toFixed(2)}% visible pixels. Frame may appear empty.`);
+            }
+            
+            // Write with padded frame number
+            const frameName = `frame_${String(i).padStart(5, '0')}.webp`;
+            await output.addFile(frameName, frameBlob);
+            
+            // Update progress
+            const progress = Math.round(((i + 1) / totalFrames) * 100);
+            progressBarFill.style.width = progress + '%';
+            progressText.textContent = `Exporting frames... ${progress}% (${i + 1}/${totalFrames}, ${formatBytes(output.bytesWritten)} written)`;
+            
+            // Allow UI to update
+            await new Promise(resolve => setTimeout(resolve, 10));
         }
-        const visiblePercentage = (visiblePixelCount / (validationData.length / 4)) * 100;
-        
-        if (visiblePercentage < 1 && i < 3) {
-            console.warn(`Frame ${i} has only ${visiblePercentage.toFixed(2)}% visible pixels. Frame may appear empty.`);
-        }
-        
-        // Add to zip with padded frame number
-        const frameName = `frame_${String(i).padStart(5, '0')}.webp`;
-        zip.file(frameName, base64Data, { base64: true });
-        
-        // Update progress
-        const progress = Math.round(((i + 1) / totalFrames) * 100);
-        progressBarFill.style.width = progress + '%';
-        progressText.textContent = `Exporting frames... ${progress}% (${i + 1}/${totalFrames})`;
-        
-        // Allow UI to update
-        await new Promise(resolve => setTimeout(resolve, 10));
+    } catch (error) {
+        // Remove the partial ZIP or folder when a frame cannot be written
+        await output.abort();
+        throw error;
     }
     
-    // Generate and download ZIP
-    progressText.textContent = 'Creating ZIP file...';
-    const zipBlob = await zip.generateAsync({ type: 'blob' });
-    // Get original filename from video element or use default
-    const videoInput = document.getElementById('videoInput');
-    let baseName = 'export';
-    if (videoInput && videoInput.files && videoInput.files[0]) {
-        const fullName = videoInput.files[0].name;
-        const lastDot = fullName.lastIndexOf('.');
-        baseName = lastDot > 0 ? fullName.substring(0, lastDot) : fullName;
-        baseName = baseName.replace(/[^a-zA-Z0-9_-]/g, '_');
+    // Never keep a partial ZIP or folder
+    if (signal.aborted) {
+        await output.abort();
+        progressText.textContent = 'Export cancelled';
+        return;
     }
-    const timestamp = getTimestamp();
-    const zipFilename = `${baseName}_webp_${fps}fps_${timestamp}.zip`;
     
-    // Download using cross-browser compatible method
-    await downloadBlob(zipBlob, zipFilename);
+    // Crop offset and scale so the frames can be placed back over the source video
+    if (!isFullFrameGeometry(geometry)) {
+        const metadata = getExportMetadata(geometry, fps, exportOptions.range, totalFrames);
+        await output.addFile('export.json', new Blob([JSON.stringify(metadata, null, 2)], { type: 'application/json' }));
+    }
+    await saveExportQualityReport(exportOptions, blob => output.addFile('quality.json', blob));
     
-    // Save first frame to localStorage for preview
-    await seekAndWait(video, 0);
-    while (video.readyState < 2) {
-        await new Promise(resolve => setTimeout(resolve, 10));
+    progressText.textContent = 'Finishing ZIP file...';
+    const zipBlob = await output.close();
+    console.log(`[Frames] ${totalFrames} frames, ${formatBytes(output.bytesWritten)} written${output.savedToDisk ? ' to disk' : ''}`);
+    
+    // Download using cross-browser compatible method (files on disk are already saved)
+    if (!output.savedToDisk) {
+        await downloadBlob(zipBlob, zipFilename);
     }
-    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
-    exportCtx.clearRect(0, 0, exportCanvas.width, exportCanvas.height);
-    exportCtx.drawImage(video, 0, 0, exportCanvas.width, exportCanvas.height);
-    const previewImageData = exportCtx.getImageData(0, 0, exportCanvas.width, exportCanvas.height);
-    const previewProcessed = applyChromaKey(previewImageData);
-    exportCtx.putImageData(previewProcessed, 0, 0);
-    const previewDataUrl = exportCanvas.toDataURL('image/webp', 0.9);
-    try {
-        localStorage.setItem('lastExportData', previewDataUrl);
-        localStorage.setItem('lastExportType', 'image/webp');
-        previewBtn.disabled = false;
-    } catch (e) {
-        console.log('Could not save preview to localStorage:', e);
+    
+    // Save first frame to localStorage for preview
+    if (firstFrameDataUrl) {
+        saveExportPreview(firstFrameDataUrl, 'image/webp', previewBtn);
     }
     
     progressText.textContent = 'Export complete!';
@@ -0,0 +1,220 @@
+/**
+ * Garbage Matte Module
+ * Polygon and rectangle masks that force parts of the frame transparent ('remove') or
+ * opaque ('keep') whatever the key decides, with feathered edges and keyframed vertices.
+ * Vertices are [x, y] pairs in source video pixels, so a matte applies at any output size.
+ */
+
+const MATTE_KEYFRAME_TOLERANCE = 0.01; // Seconds; same frame-time tolerance as the region cache
+
+let nextGarbageMatteId = 1;
+let matteRasterCanvas = null;
+let matteRasterCtx = null;
+
+// New matte with a single keyframe at time
+function createGarbageMatte(shape, points, time) {
+    const id = nextGarbageMatteId++;
+    return {
+        id,
+        name: `${shape === 'rect' ? 'Rectangle' : 'Polygon'} ${id}`,
+        mode: 'remove',
+        shape,
+        feather: 0,
+        keyframes: [{ time, points: points.map(point => [point[0], point[1]]) }]
+    };
+}
+
+// Index of the keyframe at time, or -1
+function findMatteKeyframe(matte, time) {
+    return matte.keyframes.findIndex(keyframe => Math.abs(keyframe.time - time) < MATTE_KEYFRAME_TOLERANCE);
+}
+
+// Vertex positions at time: linear between keyframes, held before the first and after the last
+function getMattePoints(matte, time) {
+    const keyframes = matte.keyframes;
+    const last = keyframes[keyframes.length - 1];
+    if (time <= keyframes[0].time) return keyframes[0].points;
+    if (time >= last.time) return last.points;
+
+    let next = 1;
+    while (keyframes[next].time < time) next++;
+    const from = keyframes[next - 1];
+    const to = keyframes[next];
+    const t = (time - from.time) / (to.time - from.time);
+    return from.points.map((point, index) => [
+        point[0] + (to.points[index][0] - point[0]) * t,
+        point[1] + (to.points[index][1] - point[1]) * t
+    ]);
+}
+
+// Add a keyframe at time (or replace the one already there), keeping keyframes sorted
+function setMatteKeyframe(matte, time, points) {
+    const copy = points.map(point => [point[0], point[1]]);
+    const index = findMatteKeyframe(matte, time);
+    if (index >= 0) {
+        matte.keyframes[index].points = copy;
+        return;
+    }
+    matte.keyframes.push({ time, points: copy });
+    matte.keyframes.sort((a, b) => a.time - b.time);
+}
+
+// Remove the keyframe at time; the last remaining keyframe is kept so the matte keeps its shape
+function removeMatteKeyframe(matte, time) {
+    const index = findMatteKeyframe(matte, time);
+    if (index < 0 || matte.keyframes.length === 1) return false;
+    matte.keyframes.splice(index, 1);
+    return true;
+}
+
+/**
+ * Give the matte new vertex positions at time. An existing keyframe at time is updated;
+ * otherwise autoKey adds one, or every keyframe is shifted by the same per-vertex offset
+ * so the animation keeps its motion.
+ */
+function setMattePointsAt(matte, time, points, autoKey) {
+    if (autoKey || findMatteKeyframe(matte, time) >= 0) {
+        setMatteKeyframe(matte, time, points);
+        return;
+    }
+    const current = getMattePoints(matte, time);
+    const offsets = points.map((point, index) => [point[0] - current[index][0], point[1] - current[index][1]]);
+    for (const keyframe of matte.keyframes) {
+        keyframe.points = keyframe.points.map((point, index) => [point[0] + offsets[index][0], point[1] + offsets[index][1]]);
+    }
+}
+
+/**
+ * Vertex positions after dragging by (dx, dy) from startPoints: one vertex (pointIndex),
+ * or the whole shape when pointIndex is -1. Rectangles stay axis-aligned by moving
+ * the two neighbouring corners along with the dragged one.
+ */
+function dragMattePoints(matte, startPoints, pointIndex, dx, dy) {
+    const points = startPoints.map((point, index) =>
+        pointIndex < 0 || index === pointIndex ? [point[0] + dx, point[1] + dy] : [point[0], point[1]]);
+    if (matte.shape === 'rect' && pointIndex >= 0) {
+        // Corners are top-left, top-right, bottom-right, bottom-left
+        points[3 - pointIndex][0] = points[pointIndex][0];
+        points[pointIndex ^ 1][1] = points[pointIndex][1];
+    }
+    return points;
+}
+
+// Corners of the rectangle spanned by two points, in the order rectangles are stored
+function getRectMattePoints(from, to) {
+    const left = Math.min(from[0], to[0]);
+    const right = Math.max(from[0], to[0]);
+    const top = Math.min(from[1], to[1]);
+    const bottom = Math.max(from[1], to[1]);
+    return [[left, top], [right, top], [right, bottom], [left, bottom]];
+}
+
+// Even-odd point-in-polygon test
+function isPointInMatte(points, x, y) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [xi, yi] = points[i];
+        const [xj, yj] = points[j];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Anti-aliased coverage (0-1) of a polygon in a width x height frame, limited to its
+ * bounding box grown by the feather. Returns { x, y, width, height, coverage } or null
+ * when the shape lies outside the frame.
+ */
+function rasterizeGarbageMatte(points, feather, width, height) {
+    // Three box passes of radius r soften the edge by about 3r pixels on each side
+    const blurRadius = feather > 0 ? Math.max(1, Math.round(feather / 3)) : 0;
+    const padding = blurRadius * 3 + 1;
+    const xs = points.map(point => point[0]);
+    const ys = points.map(point => point[1]);
+    const left = Math.max(0, Math.floor(Math.min(...xs)) - padding);
+    const top = Math.max(0, Math.floor(Math.min(...ys)) - padding);
+    const right = Math.min(width, Math.ceil(Math.max(...xs)) + padding);
+    const bottom = Math.min(height, Math.ceil(Math.max(...ys)) + padding);
+    if (right <= left || bottom <= top) return null;
+
+    const boxWidth = right - left;
+    const boxHeight = bottom - top;
+    if (!matteRasterCanvas) {
+        matteRasterCanvas = document.createElement('canvas');
+        matteRasterCtx = matteRasterCanvas.getContext('2d', { willReadFrequently: true });
+    }
+    if (matteRasterCanvas.width !== boxWidth || matteRasterCanvas.height !== boxHeight) {
+        matteRasterCanvas.width = boxWidth;
+        matteRasterCanvas.height = boxHeight;
+    } else {
+        matteRasterCtx.clearRect(0, 0, boxWidth, boxHeight);
+    }
+
+    matteRasterCtx.fillStyle = '#fff';
+    matteRasterCtx.beginPath();
+    points.forEach(([x, y], index) => {
+        if (index === 0) matteRasterCtx.moveTo(x - left, y - top);
+        else matteRasterCtx.lineTo(x - left, y - top);
+    });
+    matteRasterCtx.closePath();
+    matteRasterCtx.fill();
+
+    const pixels = matteRasterCtx.getImageData(0, 0, boxWidth, boxHeight).data;
+    const coverage = new Float32Array(boxWidth * boxHeight);
+    for (let i = 0; i < coverage.length; i++) {
+        coverage[i] = pixels[i * 4 + 3] / 255;
+    }
+    boxBlurMap(coverage, boxWidth, boxHeight, blurRadius);
+
+    return { x: left, y: top, width: boxWidth, height: boxHeight, coverage };
+}
+
+/**
+ * Combine the mattes at time into a per-pixel alpha transform for a width x height frame:
+ * keyed alpha becomes alpha * multiply + add. Mattes apply in list order, so a later matte
+ * wins where shapes overlap. Pass the previous result as reuse to recycle its buffers.
+ * Returns null when there are no mattes.
+ */
+function renderGarbageMattes(mattes, time, width, height, sourceWidth, sourceHeight, reuse) {
+    if (mattes.length === 0) return null;
+
+    const pixelCount = width * height;
+    const layer = reuse && reuse.multiply.length === pixelCount
+        ? reuse
+        : { multiply: new Float32Array(pixelCount), add: new Float32Array(pixelCount) };
+    layer.multiply.fill(1);
+    layer.add.fill(0);
+
+    const scaleX = width / sourceWidth;
+    const scaleY = height / sourceHeight;
+
+    for (const matte of mattes) {
+        const points = getMattePoints(matte, time).map(([x, y]) => [x * scaleX, y * scaleY]);
+        const raster = rasterizeGarbageMatte(points, matte.feather * scaleX, width, height);
+        if (!raster) continue;
+
+        const opaque = matte.mode === 'keep' ? 255 : 0;
+        for (let y = 0; y < raster.height; y++) {
+            const row = (raster.y + y) * width + raster.x;
+            for (let x = 0; x < raster.width; x++) {
+                const coverage = raster.coverage[y * raster.width + x];
+                if (coverage === 0) continue;
+                const index = row + x;
+                layer.multiply[index] *= 1 - coverage;
+                layer.add[index] = layer.add[index] * (1 - coverage) + opaque * coverage;
+            }
+        }
+    }
+
+    return layer;
+}
+
+// Apply a layer from renderGarbageMattes to the alpha of RGBA data in place
+function applyGarbageMatteLayer(data, layer) {
+    const { multiply, add } = layer;
+    for (let i = 0; i < multiply.length; i++) {
+        data[i * 4 + 3] = data[i * 4 + 3] * multiply[i] + add[i];
+    }
+}
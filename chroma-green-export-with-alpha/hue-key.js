@@ -0,0 +1,77 @@
+/**
+ * Hue Key Module
+ * Generic hue-window key: a pixel is keyed when its hue lies within hueWidth degrees around
+ * hueCenter, it is saturated enough, and it passes a channel dominance rule.
+ * The green, blue, magenta and cyan screen modes are presets of this key.
+ */
+
+/**
+ * Dominance rules, named by the backdrop channels that must win:
+ * one channel ('g') must beat both others; two channels ('rb') must both beat the third
+ * and together be more than twice it; 'none' only uses the hue window and saturation.
+ */
+const HUE_KEY_DOMINANCE_RULES = {
+    none: { label: 'None (hue and saturation only)', channels: [], others: [0, 1, 2] },
+    r: { label: 'Red > green, blue', channels: [0], others: [1, 2] },
+    g: { label: 'Green > red, blue', channels: [1], others: [0, 2] },
+    b: { label: 'Blue > red, green', channels: [2], others: [0, 1] },
+    rg: { label: 'Red + green > blue', channels: [0, 1], others: [2] },
+    rb: { label: 'Red + blue > green', channels: [0, 2], others: [1] },
+    gb: { label: 'Green + blue > red', channels: [1, 2], others: [0] }
+};
+
+// Defaults for each screen colour; threshold/saturation/smoothness match the other filters
+const HUE_KEY_PRESETS = {
+    green: { threshold: 0.3, saturation: 0.4, smoothness: 0.2, hueCenter: 120, hueWidth: 120, dominance: 'g' },
+    blue: { threshold: 0.3, saturation: 0.4, smoothness: 0.2, hueCenter: 225, hueWidth: 90, dominance: 'b' },
+    magenta: { threshold: 0.3, saturation: 0.4, smoothness: 0.2, hueCenter: 330, hueWidth: 120, dominance: 'rb' },
+    cyan: { threshold: 0.3, saturation: 0.4, smoothness: 0.2, hueCenter: 180, hueWidth: 60, dominance: 'gb' }
+};
+
+// Circular test: is hue (0-360) within width/2 degrees of center
+function isHueInWindow(hue, center, width) {
+    let distance = Math.abs(hue - center) % 360;
+    if (distance > 180) distance = 360 - distance;
+    return distance <= width / 2;
+}
+
+// Channel value by index without building an array per pixel
+function getChannel(r, g, b, channel) {
+    return channel === 0 ? r : channel === 1 ? g : b;
+}
+
+function passesDominance(r, g, b, rule) {
+    const { channels, others } = HUE_KEY_DOMINANCE_RULES[rule];
+    if (channels.length === 0) return true;
+    const key = getChannel(r, g, b, channels[0]);
+    if (channels.length === 1) {
+        return key > getChannel(r, g, b, others[0]) && key > getChannel(r, g, b, others[1]);
+    }
+    const secondKey = getChannel(r, g, b, channels[1]);
+    const other = getChannel(r, g, b, others[0]);
+    return key > other && secondKey > other && key + secondKey > other * 2;
+}
+
+// Does the pixel (with its HSV) match the key
+function matchesHueKey(r, g, b, hsv, options) {
+    return isHueInWindow(hsv.h, options.hueCenter, options.hueWidth) &&
+        hsv.s >= options.saturation &&
+        passesDominance(r, g, b, options.dominance);
+}
+
+/**
+ * Alpha (0-1) of a matched pixel: how far the backdrop channel(s) rise above the rest,
+ * scaled by saturation and the smoothness setting.
+ */
+function getHueKeyAlpha(r, g, b, hsv, options) {
+    const { channels, others } = HUE_KEY_DOMINANCE_RULES[options.dominance];
+    let strength;
+    if (channels.length === 0) {
+        strength = (Math.max(r, g, b) - Math.min(r, g, b)) / 255;
+    } else if (channels.length === 1) {
+        strength = (getChannel(r, g, b, channels[0]) - Math.max(getChannel(r, g, b, others[0]), getChannel(r, g, b, others[1]))) / 255;
+    } else {
+        strength = ((getChannel(r, g, b, channels[0]) + getChannel(r, g, b, channels[1])) / 2 - getChannel(r, g, b, others[0])) / 255;
+    }
+    return 1 - Math.min(1, strength * hsv.s * options.smoothness * 5);
+}
@@ -0,0 +1,85 @@
+/**
+ * Keyframe Module
+ * Timeline keyframes for keying parameters. Each parameter ('green.threshold', 'region.tolerance', ...)
+ * has a track of { time, value, easing } sorted by time; easing ('linear' or 'ease') shapes the
+ * segment from that keyframe to the next. Values hold before the first and after the last keyframe.
+ */
+
+const KEYFRAME_TIME_TOLERANCE = 0.01; // Seconds; keyframes closer than this share a frame
+
+// Index of the keyframe at time, or -1
+function findKeyframeIndex(track, time) {
+    return track.findIndex(keyframe => Math.abs(keyframe.time - time) < KEYFRAME_TIME_TOLERANCE);
+}
+
+// Add a keyframe at time (or update the one already there), keeping the track sorted
+function setKeyframe(track, time, value, easing) {
+    const index = findKeyframeIndex(track, time);
+    if (index >= 0) {
+        track[index].value = value;
+        track[index].easing = easing;
+        return;
+    }
+    track.push({ time, value, easing });
+    track.sort((a, b) => a.time - b.time);
+}
+
+function removeKeyframe(track, time) {
+    const index = findKeyframeIndex(track, time);
+    if (index < 0) return false;
+    track.splice(index, 1);
+    return true;
+}
+
+// Smoothstep: slow out of one keyframe and into the next
+function easeInOut(t) {
+    return t * t * (3 - 2 * t);
+}
+
+// Value of a track at time, or undefined for an empty track
+function evaluateKeyframes(track, time) {
+    if (!track || track.length === 0) return undefined;
+    const last = track[track.length - 1];
+    if (time <= track[0].time) return track[0].value;
+    if (time >= last.time) return last.value;
+
+    let next = 1;
+    while (track[next].time < time) next++;
+    const from = track[next - 1];
+    const to = track[next];
+    const t = (time - from.time) / (to.time - from.time);
+    return from.value + (to.value - from.value) * (from.easing === 'ease' ? easeInOut(t) : t);
+}
+
+/**
+ * Settings with every keyframed parameter replaced by its value at time.
+ * settings is { group: { name: value } }, keyframes is { 'group.name': track }.
+ * Returns settings itself when nothing is keyframed.
+ */
+function getKeyframedSettings(settings, keyframes, time) {
+    const paths = Object.keys(keyframes).filter(path => keyframes[path].length > 0);
+    if (paths.length === 0) return settings;
+
+    const result = {};
+    for (const group of Object.keys(settings)) {
+        result[group] = { ...settings[group] };
+    }
+    for (const path of paths) {
+        const [group, name] = path.split('.');
+        if (result[group]) result[group][name] = evaluateKeyframes(keyframes[path], time);
+    }
+    return result;
+}
+
+// Sorted, de-duplicated times of all keyframes, for seek bar markers
+function getKeyframeTimes(keyframes) {
+    const times = [];
+    for (const track of Object.values(keyframes)) {
+        for (const keyframe of track) {
+            if (!times.some(time => Math.abs(time - keyframe.time) < KEYFRAME_TIME_TOLERANCE)) {
+                times.push(keyframe.time);
+            }
+        }
+    }
+    return times.sort((a, b) => a - b);
+}
@@ -0,0 +1,53 @@
+/**
+ * Luma Key Module
+ * Alpha from brightness, for fire, smoke, sparks and light leaks shot on black (or, inverted,
+ * elements shot on white). Unmultiply divides the backdrop back out of the colour so additive
+ * footage keeps its full brightness once it is transparent.
+ */
+
+const LUMA_KEY_DEFAULTS = {
+    low: 0.05,
+    high: 0.5,
+    softness: 1,
+    invert: false,
+    unmultiply: false
+};
+
+// Rec. 709 luminance, 0-1
+function getLuminance(r, g, b) {
+    return (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+}
+
+/**
+ * Alpha (0-1) of a pixel: transparent at or below the low threshold, opaque at or above the
+ * high one (the other way round when inverted), with softness as the exponent of the ramp
+ * between them (1 = linear, higher = more transparent midtones). With unmultiply the
+ * brightest channel is used instead of luminance, so with low 0, high 1, softness 1 and no
+ * invert the alpha equals that channel and the recovered colour stays in range.
+ */
+function getLumaKeyAlpha(r, g, b, options) {
+    const value = options.unmultiply ? Math.max(r, g, b) / 255 : getLuminance(r, g, b);
+    let ramp;
+    if (options.high <= options.low) {
+        ramp = value > options.low ? 1 : 0;
+    } else {
+        ramp = Math.min(1, Math.max(0, (value - options.low) / (options.high - options.low)));
+    }
+    const alpha = options.invert ? 1 - ramp : ramp;
+    return Math.pow(alpha, Math.max(0.1, options.softness));
+}
+
+/**
+ * Recover the foreground colour of RGBA data at index i from a pixel (r, g, b) that is the
+ * foreground blended with alpha over black, or over white when inverted. Dividing by alpha
+ * overshoots wherever the ramp gives a pixel less alpha than the blend it came from, so the
+ * colour is clamped to 0-255.
+ */
+function unmultiplyLumaKey(data, i, r, g, b, alpha, invert) {
+    if (alpha <= 1 / 255) return;
+    const background = invert ? 255 : 0;
+    const unmultiply = value => Math.min(255, Math.max(0, Math.round((value - background * (1 - alpha)) / alpha)));
+    data[i] = unmultiply(r);
+    data[i + 1] = unmultiply(g);
+    data[i + 2] = unmultiply(b);
+}
@@ -0,0 +1,215 @@
+/**
+ * Matte Quality Module
+ * Per-frame statistics of the keyed alpha over a whole clip: the share of transparent, opaque
+ * and semi-transparent pixels and the number of isolated noise pixels (single specks left in
+ * the backdrop and pinholes in the subject). Frames where these numbers jump from the frame
+ * before are flagged, since that is usually where the key flickers or breaks down.
+ */
+
+const MATTE_QUALITY_APP = 'frogfx.tools chroma key quality report';
+const MATTE_QUALITY_COVERAGE_JUMP = 5; // Change in a coverage percentage from the previous frame, in points
+const MATTE_QUALITY_NOISE_JUMP = 3; // Rise in noise pixels, as a multiple of the clip's median...
+const MATTE_QUALITY_MIN_NOISE_JUMP = 50; // ...and never less than this many pixels
+const MATTE_QUALITY_EMPTY = 1; // Frames with less visible coverage than this percentage are flagged
+
+const MATTE_QUALITY_SERIES = [
+    { key: 'transparent', label: 'Transparent', color: '#999' },
+    { key: 'opaque', label: 'Opaque', color: '#28a745' },
+    { key: 'partial', label: 'Semi-transparent', color: '#667eea' }
+];
+const MATTE_QUALITY_NOISE_COLOR = '#dc3545';
+
+/**
+ * Coverage percentages and isolated pixel counts of one keyed frame. A speck is a pixel at
+ * least half opaque with no such pixel among its 8 neighbours; a hole is the reverse.
+ */
+function analyzeMatteFrame(imageData) {
+    const { data, width, height } = imageData;
+    const pixelCount = width * height;
+    const solid = new Uint8Array(pixelCount);
+    let transparent = 0;
+    let opaque = 0;
+    for (let p = 0; p < pixelCount; p++) {
+        const alpha = data[p * 4 + 3];
+        if (alpha === 0) transparent++;
+        else if (alpha === 255) opaque++;
+        solid[p] = alpha >= 128 ? 1 : 0;
+    }
+
+    // Border pixels have too few neighbours to call isolated
+    let specks = 0;
+    let holes = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const p = y * width + x;
+            const value = solid[p];
+            const above = p - width;
+            const below = p + width;
+            if (solid[above - 1] !== value && solid[above] !== value && solid[above + 1] !== value &&
+                solid[p - 1] !== value && solid[p + 1] !== value &&
+                solid[below - 1] !== value && solid[below] !== value && solid[below + 1] !== value) {
+                if (value) specks++;
+                else holes++;
+            }
+        }
+    }
+
+    const percent = count => pixelCount > 0 ? Math.round(count / pixelCount * 10000) / 100 : 0;
+    return {
+        transparent: percent(transparent),
+        opaque: percent(opaque),
+        partial: percent(pixelCount - transparent - opaque),
+        specks,
+        holes,
+        noise: specks + holes
+    };
+}
+
+function getMedian(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Frames whose coverage or noise jumps from the frame before, or that are nearly empty,
+// as [{ index, time, reasons }]
+function findMatteQualityFlags(frames) {
+    const medianNoise = getMedian(frames.map(frame => frame.noise));
+    const noiseJump = Math.max(MATTE_QUALITY_MIN_NOISE_JUMP, medianNoise * MATTE_QUALITY_NOISE_JUMP);
+    const flags = [];
+
+    frames.forEach((frame, i) => {
+        const reasons = [];
+        if (frame.opaque + frame.partial < MATTE_QUALITY_EMPTY) {
+            reasons.push('nearly empty');
+        }
+        const previous = frames[i - 1];
+        if (previous) {
+            for (const { key, label } of MATTE_QUALITY_SERIES) {
+                const change = frame[key] - previous[key];
+                if (Math.abs(change) >= MATTE_QUALITY_COVERAGE_JUMP) {
+                    reasons.push(`${label.toLowerCase()} ${change > 0 ? '+' : ''}${change.toFixed(1)}%`);
+                }
+            }
+            if (frame.noise - previous.noise >= noiseJump) {
+                reasons.push(`noise ${previous.noise} → ${frame.noise} px`);
+            }
+        }
+        if (reasons.length > 0) {
+            flags.push({ index: frame.index, time: frame.time, reasons });
+        }
+    });
+    return flags;
+}
+
+// An empty report for frames at fps over range; source says where the frames came from
+function createMatteQualityReport(source, width, height, fps, range) {
+    return {
+        app: MATTE_QUALITY_APP,
+        source, // 'analysis' or the export format
+        video: { width, height },
+        fps,
+        range: { start: range.start, end: range.end },
+        frames: [],
+        flagged: [],
+        summary: null
+    };
+}
+
+// Analyze a keyed frame into the report. A frame captured again is skipped: the temporal
+// matte no longer matches the first pass
+function addMatteQualityFrame(report, time, imageData) {
+    const index = Math.round((time - report.range.start) * report.fps);
+    if (report.frames[index]) return;
+    report.frames[index] = { index, time: Math.round(time * 1000) / 1000, ...analyzeMatteFrame(imageData) };
+}
+
+// Flag jumps and summarize once every frame is in; returns the report
+function finishMatteQualityReport(report) {
+    const frames = report.frames.filter(Boolean);
+    report.frames = frames;
+    report.flagged = findMatteQualityFlags(frames);
+
+    const average = key => frames.length > 0 ? Math.round(frames.reduce((sum, frame) => sum + frame[key], 0) / frames.length * 100) / 100 : 0;
+    report.summary = {
+        frameCount: frames.length,
+        flaggedCount: report.flagged.length,
+        averageTransparent: average('transparent'),
+        averageOpaque: average('opaque'),
+        averagePartial: average('partial'),
+        medianNoise: getMedian(frames.map(frame => frame.noise)),
+        maxNoise: frames.reduce((max, frame) => Math.max(max, frame.noise), 0)
+    };
+    report.thresholds = {
+        coverageJump: MATTE_QUALITY_COVERAGE_JUMP,
+        noiseJump: MATTE_QUALITY_NOISE_JUMP,
+        minNoiseJump: MATTE_QUALITY_MIN_NOISE_JUMP,
+        empty: MATTE_QUALITY_EMPTY
+    };
+    return report;
+}
+
+/**
+ * Chart the report on a canvas: one line per coverage percentage (0-100%), noise scaled to
+ * the clip's maximum as a dashed line, flagged frames as red ticks and currentTime as the
+ * playhead.
+ */
+function drawMatteQualityChart(canvas, report, currentTime) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const { frames } = report;
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, width, height);
+    if (frames.length === 0) return;
+
+    const tickHeight = 6;
+    const plotHeight = height - tickHeight - 2;
+    const first = frames[0].time;
+    const span = frames[frames.length - 1].time - first;
+    const getX = time => span > 0 ? (time - first) / span * (width - 1) : width / 2;
+    const getY = value => 1 + plotHeight * (1 - value);
+    const traceLine = getValue => {
+        ctx.beginPath();
+        frames.forEach((frame, i) => {
+            const y = getY(getValue(frame));
+            if (i === 0) ctx.moveTo(getX(frame.time), y);
+            else ctx.lineTo(getX(frame.time), y);
+        });
+        ctx.stroke();
+    };
+
+    ctx.lineWidth = 1.5;
+    for (const { key, color } of MATTE_QUALITY_SERIES) {
+        ctx.strokeStyle = color;
+        traceLine(frame => frame[key] / 100);
+    }
+    const maxNoise = report.summary ? report.summary.maxNoise : Math.max(...frames.map(frame => frame.noise));
+    if (maxNoise > 0) {
+        ctx.strokeStyle = MATTE_QUALITY_NOISE_COLOR;
+        ctx.setLineDash([3, 2]);
+        traceLine(frame => frame.noise / maxNoise);
+        ctx.setLineDash([]);
+    }
+
+    // Flagged frames along the bottom
+    ctx.fillStyle = MATTE_QUALITY_NOISE_COLOR;
+    for (const flag of report.flagged) {
+        ctx.fillRect(Math.round(getX(flag.time)) - 1, height - tickHeight, 2, tickHeight);
+    }
+
+    if (currentTime >= first && currentTime <= first + span) {
+        ctx.fillStyle = '#333';
+        ctx.fillRect(Math.round(getX(currentTime)), 0, 1, height);
+    }
+}
+
+// The frame nearest to x (0 to 1 across the chart drawn by drawMatteQualityChart)
+function getMatteQualityFrameAt(report, x) {
+    const { frames } = report;
+    if (frames.length === 0) return null;
+    const first = frames[0].time;
+    const time = first + Math.max(0, Math.min(1, x)) * (frames[frames.length - 1].time - first);
+    return frames.reduce((nearest, frame) => Math.abs(frame.time - time) < Math.abs(nearest.time - time) ? frame : nearest);
+}
@@ -0,0 +1,172 @@
+/**
+ * Matte Refinement Module
+ * Post-key clean-up of the alpha channel, whichever filters produced it:
+ * clip black/white levels, despeckle (small islands and holes), choke/expand and feather
+ */
+
+// Running-sum box blur along one row or column; the window shrinks at the ends
+function boxBlurLine(source, target, offset, stride, length, radius) {
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < Math.min(radius, length); i++) {
+        sum += source[offset + i * stride];
+        count++;
+    }
+    for (let i = 0; i < length; i++) {
+        if (i + radius < length) {
+            sum += source[offset + (i + radius) * stride];
+            count++;
+        }
+        if (i - radius - 1 >= 0) {
+            sum -= source[offset + (i - radius - 1) * stride];
+            count--;
+        }
+        target[offset + i * stride] = sum / count;
+    }
+}
+
+// Blur a single-channel float map in place; three box passes approximate a gaussian
+function boxBlurMap(values, width, height, radius, passes = 3) {
+    if (radius < 1) return values;
+    const temp = new Float32Array(values.length);
+    for (let pass = 0; pass < passes; pass++) {
+        for (let y = 0; y < height; y++) {
+            boxBlurLine(values, temp, y * width, 1, width, radius);
+        }
+        for (let x = 0; x < width; x++) {
+            boxBlurLine(temp, values, x, width, height, radius);
+        }
+    }
+    return values;
+}
+
+// Box radius whose three passes approximate a gaussian with the given sigma
+function getGaussianBoxRadius(sigma) {
+    return Math.max(1, Math.round((Math.sqrt(4 * sigma * sigma + 1) - 1) / 2));
+}
+
+// Sliding-window minimum or maximum along one row or column (monotonic queue, O(length))
+function extremumFilterLine(source, target, offset, stride, length, radius, useMax, queue) {
+    let head = 0;
+    let tail = 0;
+    let next = 0;
+    for (let i = 0; i < length; i++) {
+        const windowEnd = Math.min(length - 1, i + radius);
+        while (next <= windowEnd) {
+            const value = source[offset + next * stride];
+            while (tail > head) {
+                const last = source[offset + queue[tail - 1] * stride];
+                if (useMax ? last > value : last < value) break;
+                tail--;
+            }
+            queue[tail++] = next++;
+        }
+        while (queue[head] < i - radius) head++;
+        target[offset + i * stride] = source[offset + queue[head] * stride];
+    }
+}
+
+// Shrink (amount < 0) or grow (amount > 0) the matte by |amount| pixels, in place
+function chokeMatte(alpha, width, height, amount) {
+    const radius = Math.round(Math.abs(amount));
+    if (radius === 0) return;
+    const useMax = amount > 0;
+    const temp = new Float32Array(alpha.length);
+    const queue = new Int32Array(Math.max(width, height));
+    for (let y = 0; y < height; y++) {
+        extremumFilterLine(alpha, temp, y * width, 1, width, radius, useMax, queue);
+    }
+    for (let x = 0; x < width; x++) {
+        extremumFilterLine(temp, alpha, x, width, height, radius, useMax, queue);
+    }
+}
+
+// Map alpha so clipBlack and below become 0, clipWhite and above 255, linear in between
+function clipMatteLevels(alpha, clipBlack, clipWhite) {
+    const black = clipBlack * 255;
+    const range = Math.max(1, (clipWhite - clipBlack) * 255);
+    for (let i = 0; i < alpha.length; i++) {
+        alpha[i] = Math.max(0, Math.min(255, ((alpha[i] - black) / range) * 255));
+    }
+}
+
+/**
+ * Remove 4-connected opaque islands (alpha >= 128) smaller than minArea pixels, and fill
+ * transparent holes of the same size that do not touch the frame edge.
+ */
+function despeckleMatte(alpha, width, height, minArea) {
+    const pixelCount = width * height;
+    const visited = new Uint8Array(pixelCount);
+    const component = new Int32Array(pixelCount);
+
+    for (let seed = 0; seed < pixelCount; seed++) {
+        if (visited[seed]) continue;
+        const opaque = alpha[seed] >= 128;
+        let size = 0;
+        let head = 0;
+        let touchesEdge = false;
+        component[size++] = seed;
+        visited[seed] = 1;
+
+        // Breadth-first fill; the queue doubles as the component's pixel list
+        while (head < size) {
+            const index = component[head++];
+            const x = index % width;
+            const y = (index - x) / width;
+            if (x === 0 || y === 0 || x === width - 1 || y === height - 1) touchesEdge = true;
+            if (x > 0) size = visitMatteNeighbour(alpha, visited, component, size, index - 1, opaque);
+            if (x < width - 1) size = visitMatteNeighbour(alpha, visited, component, size, index + 1, opaque);
+            if (y > 0) size = visitMatteNeighbour(alpha, visited, component, size, index - width, opaque);
+            if (y < height - 1) size = visitMatteNeighbour(alpha, visited, component, size, index + width, opaque);
+        }
+
+        if (size < minArea && (opaque || !touchesEdge)) {
+            const value = opaque ? 0 : 255;
+            for (let i = 0; i < size; i++) {
+                alpha[component[i]] = value;
+            }
+        }
+    }
+}
+
+function visitMatteNeighbour(alpha, visited, component, size, index, opaque) {
+    if (visited[index] || (alpha[index] >= 128) !== opaque) return size;
+    visited[index] = 1;
+    component[size] = index;
+    return size + 1;
+}
+
+function hasMatteRefinement(options) {
+    return options.clipBlack > 0 || options.clipWhite < 1 || options.despeckle > 0 || options.choke !== 0 || options.feather > 0;
+}
+
+/**
+ * Refine the alpha of RGBA data in place.
+ * options: { clipBlack, clipWhite (0-1), despeckle (min area, px), choke (px, < 0 shrinks), feather (gaussian sigma, px) }
+ */
+function refineMatte(data, width, height, options) {
+    if (!hasMatteRefinement(options)) return;
+
+    const pixelCount = width * height;
+    const alpha = new Float32Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+        alpha[i] = data[i * 4 + 3];
+    }
+
+    if (options.clipBlack > 0 || options.clipWhite < 1) {
+        clipMatteLevels(alpha, options.clipBlack, options.clipWhite);
+    }
+    if (options.despeckle > 0) {
+        despeckleMatte(alpha, width, height, options.despeckle);
+    }
+    if (options.choke !== 0) {
+        chokeMatte(alpha, width, height, options.choke);
+    }
+    if (options.feather > 0) {
+        boxBlurMap(alpha, width, height, getGaussianBoxRadius(options.feather));
+    }
+
+    for (let i = 0; i < pixelCount; i++) {
+        data[i * 4 + 3] = alpha[i];
+    }
+}
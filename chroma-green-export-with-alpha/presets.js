@@ -0,0 +1,168 @@
+/**
+ * Presets Module
+ * Named keying presets: filter toggles, settings, keyframes, the custom color, region seeds
+ * and the export FPS/format as plain JSON. Presets are kept in localStorage by name, saved
+ * and opened as .json files, and packed into the page URL (#preset=...) for sharing.
+ */
+
+const PRESET_APP = 'frogfx.tools chroma key preset';
+const PRESET_VERSION = 1;
+const PRESET_STORAGE_KEY = 'keyPresets';
+const PRESET_URL_PARAM = 'preset';
+
+// Settings that take one of a fixed set of values, by settings group: the allowed values are
+// the keys of each table
+const PRESET_SETTING_CHOICES = {
+    green: { dominance: HUE_KEY_DOMINANCE_RULES },
+    blue: { dominance: HUE_KEY_DOMINANCE_RULES },
+    magenta: { dominance: HUE_KEY_DOMINANCE_RULES },
+    cyan: { dominance: HUE_KEY_DOMINANCE_RULES },
+    colorDifference: { mode: COLOR_DIFFERENCE_MODES },
+    despill: { algorithm: DESPILL_ALGORITHMS, limitChannel: DESPILL_LIMIT_CHANNELS, range: DESPILL_RANGES },
+    background: { anchor: BACKGROUND_ANCHORS }
+};
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// A region seed as it was placed (see region-fill.js), with its patch as base64
+function serializeRegionSeed(seed) {
+    return {
+        x: seed.originX,
+        y: seed.originY,
+        r: seed.r,
+        g: seed.g,
+        b: seed.b,
+        time: seed.time,
+        patch: bytesToBase64(seed.originPatch)
+    };
+}
+
+function deserializeRegionSeed(data) {
+    if (!data || ![data.x, data.y, data.r, data.g, data.b, data.time].every(Number.isFinite) || typeof data.patch !== 'string') {
+        throw new Error('Region seed is incomplete');
+    }
+    const patch = base64ToBytes(data.patch);
+    const patchSize = (REGION_SEED_PATCH_RADIUS * 2 + 1) ** 2 * 3;
+    if (patch.length !== patchSize) throw new Error('Region seed patch has the wrong size');
+    return {
+        x: data.x,
+        y: data.y,
+        r: data.r,
+        g: data.g,
+        b: data.b,
+        time: data.time,
+        originX: data.x,
+        originY: data.y,
+        originPatch: patch,
+        patch
+    };
+}
+
+function isPresetColor(color) {
+    return [color.r, color.g, color.b].every(value => Number.isInteger(value) && value >= 0 && value <= 255);
+}
+
+/**
+ * Check that data parsed from a file or URL is a preset this version can read, down to its
+ * target color and region seeds, so a broken preset is refused before any of it is applied.
+ * Settings of the wrong type or outside their choices are not errors: they keep their defaults.
+ * Throws an Error describing the problem.
+ */
+function validatePreset(data) {
+    if (!data || typeof data !== 'object' || data.app !== PRESET_APP) {
+        throw new Error('Not a chroma key preset');
+    }
+    if (!(data.version >= 1) || data.version > PRESET_VERSION) {
+        throw new Error(`Unsupported preset version ${data.version}`);
+    }
+    if (!data.settings || typeof data.settings !== 'object') {
+        throw new Error('Preset has no settings');
+    }
+    for (const section of ['filters', 'keyframes', 'targetColor', 'export']) {
+        if (data[section] != null && typeof data[section] !== 'object') {
+            throw new Error(`Preset ${section} must be an object`);
+        }
+    }
+    for (const [group, values] of Object.entries(data.settings)) {
+        if (values != null && typeof values !== 'object') {
+            throw new Error(`Preset settings for ${group} must be an object`);
+        }
+    }
+    if (data.targetColor && !isPresetColor(data.targetColor)) {
+        throw new Error('Preset target color is not an RGB color');
+    }
+    if (data.regionSeeds != null) {
+        if (!Array.isArray(data.regionSeeds)) throw new Error('Preset region seeds must be a list');
+        data.regionSeeds.forEach(deserializeRegionSeed);
+    }
+    return data;
+}
+
+// Copy the values of source onto target where the key exists in target with the same type
+// and, for keys in choices (see PRESET_SETTING_CHOICES), is one of the allowed values
+function mergePresetValues(target, source, choices = {}) {
+    if (!source || typeof source !== 'object') return target;
+    for (const key of Object.keys(target)) {
+        if (typeof source[key] !== typeof target[key] || (typeof source[key] === 'number' && !isFinite(source[key]))) continue;
+        if (choices[key] && !Object.prototype.hasOwnProperty.call(choices[key], source[key])) {
+            console.warn(`[Presets] Ignoring unknown ${key} "${source[key]}"`);
+            continue;
+        }
+        target[key] = source[key];
+    }
+    return target;
+}
+
+// Presets saved in this browser, by name
+function loadStoredPresets() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY) || '{}');
+        return stored && typeof stored === 'object' ? stored : {};
+    } catch (error) {
+        console.error('[Presets] Could not read saved presets:', error);
+        return {};
+    }
+}
+
+// Returns false if localStorage is full or unavailable
+function saveStoredPresets(presets) {
+    try {
+        localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+        return true;
+    } catch (error) {
+        console.error('[Presets] Could not save presets:', error);
+        return false;
+    }
+}
+
+// URL-safe base64 of the preset's JSON (UTF-8, so names may use any characters)
+function encodePresetForUrl(preset) {
+    const base64 = bytesToBase64(new TextEncoder().encode(JSON.stringify(preset)));
+    return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// The preset in a URL hash written by encodePresetForUrl, or null if there is none
+// Throws if the hash holds a preset that cannot be read
+function decodePresetFromUrl(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const encoded = params.get(PRESET_URL_PARAM);
+    if (!encoded) return null;
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const json = new TextDecoder().decode(base64ToBytes(base64));
+    return validatePreset(JSON.parse(json));
+}
@@ -0,0 +1,142 @@
+/**
+ * Region Fill Module
+ * Region selection as a connected flood fill: only pixels reachable from a seed point through
+ * pixels within tolerance of that seed's colour are selected, so the same colour elsewhere in
+ * the frame (in the subject, say) is left alone. Seeds follow the footage from frame to frame
+ * by matching a small patch around them within a local search window.
+ */
+
+const REGION_SEED_PATCH_RADIUS = 4; // Patch of (2r + 1)^2 pixels matched between frames
+const REGION_SEED_SEARCH_RADIUS = 16; // Pixels a seed may move from one frame to the next
+
+// RGB of the patch around (x, y), edge pixels repeated where it leaves the frame
+function readRegionPatch(data, width, height, x, y) {
+    const size = REGION_SEED_PATCH_RADIUS * 2 + 1;
+    const patch = new Uint8Array(size * size * 3);
+    let p = 0;
+    for (let dy = -REGION_SEED_PATCH_RADIUS; dy <= REGION_SEED_PATCH_RADIUS; dy++) {
+        const row = Math.min(height - 1, Math.max(0, y + dy)) * width;
+        for (let dx = -REGION_SEED_PATCH_RADIUS; dx <= REGION_SEED_PATCH_RADIUS; dx++) {
+            const i = (row + Math.min(width - 1, Math.max(0, x + dx))) * 4;
+            patch[p++] = data[i];
+            patch[p++] = data[i + 1];
+            patch[p++] = data[i + 2];
+        }
+    }
+    return patch;
+}
+
+// Seed at integer pixel (x, y) of a frame at time; its colour is what the fill compares against
+function createRegionSeed(data, width, height, x, y, time) {
+    const i = (y * width + x) * 4;
+    const patch = readRegionPatch(data, width, height, x, y);
+    return {
+        x,
+        y,
+        r: data[i],
+        g: data[i + 1],
+        b: data[i + 2],
+        time,
+        originX: x,
+        originY: y,
+        originPatch: patch,
+        patch
+    };
+}
+
+// Put the seed back where it was placed (used on the frame it was placed on)
+function resetRegionSeed(seed) {
+    seed.x = seed.originX;
+    seed.y = seed.originY;
+    seed.patch = seed.originPatch;
+}
+
+/**
+ * Move the seed to the position in the search window whose patch best matches the seed's
+ * patch from the previous frame (least sum of absolute differences), then take the patch
+ * from the new frame. Ties keep the smallest move.
+ */
+function trackRegionSeed(seed, data, width, height) {
+    const bound = REGION_SEED_PATCH_RADIUS;
+    const patch = seed.patch;
+    let bestX = seed.x;
+    let bestY = seed.y;
+    let bestCost = Infinity;
+    let bestDistance = Infinity;
+
+    const top = Math.max(0, seed.y - REGION_SEED_SEARCH_RADIUS);
+    const bottom = Math.min(height - 1, seed.y + REGION_SEED_SEARCH_RADIUS);
+    const left = Math.max(0, seed.x - REGION_SEED_SEARCH_RADIUS);
+    const right = Math.min(width - 1, seed.x + REGION_SEED_SEARCH_RADIUS);
+
+    for (let y = top; y <= bottom; y++) {
+        for (let x = left; x <= right; x++) {
+            let cost = 0;
+            let p = 0;
+            for (let dy = -bound; dy <= bound && cost < bestCost; dy++) {
+                const row = Math.min(height - 1, Math.max(0, y + dy)) * width;
+                for (let dx = -bound; dx <= bound; dx++) {
+                    const i = (row + Math.min(width - 1, Math.max(0, x + dx))) * 4;
+                    cost += Math.abs(data[i] - patch[p]) + Math.abs(data[i + 1] - patch[p + 1]) + Math.abs(data[i + 2] - patch[p + 2]);
+                    p += 3;
+                }
+            }
+            const distance = (x - seed.x) * (x - seed.x) + (y - seed.y) * (y - seed.y);
+            if (cost < bestCost || (cost === bestCost && distance < bestDistance)) {
+                bestCost = cost;
+                bestDistance = distance;
+                bestX = x;
+                bestY = y;
+            }
+        }
+    }
+
+    seed.x = bestX;
+    seed.y = bestY;
+    seed.patch = readRegionPatch(data, width, height, bestX, bestY);
+}
+
+/**
+ * 4-connected flood fill from every seed: a pixel joins when its colour is within tolerance
+ * (normalized RGB distance, 0-1) of the seed it was reached from. Fills may pass through
+ * each other, so one seed's area never blocks another's.
+ * Returns a Uint8Array mask (1 = selected).
+ */
+function floodFillRegion(data, width, height, seeds, tolerance) {
+    const pixelCount = width * height;
+    const mask = new Uint8Array(pixelCount);
+    const visited = new Int32Array(pixelCount); // Number of the last seed that reached the pixel
+    const queue = new Int32Array(pixelCount);
+    const limit = tolerance * 255 * Math.sqrt(3);
+    const limitSquared = limit * limit;
+
+    seeds.forEach((seed, seedIndex) => {
+        if (seed.x < 0 || seed.x >= width || seed.y < 0 || seed.y >= height) return;
+        const stamp = seedIndex + 1;
+        let head = 0;
+        let tail = 0;
+
+        const visit = index => {
+            if (visited[index] === stamp) return;
+            visited[index] = stamp;
+            const i = index * 4;
+            const dr = data[i] - seed.r;
+            const dg = data[i + 1] - seed.g;
+            const db = data[i + 2] - seed.b;
+            if (dr * dr + dg * dg + db * db > limitSquared) return;
+            mask[index] = 1;
+            queue[tail++] = index;
+        };
+
+        visit(seed.y * width + seed.x);
+        while (head < tail) {
+            const index = queue[head++];
+            const x = index % width;
+            if (x > 0) visit(index - 1);
+            if (x < width - 1) visit(index + 1);
+            if (index >= width) visit(index - width);
+            if (index < pixelCount - width) visit(index + width);
+        }
+    });
+    return mask;
+}
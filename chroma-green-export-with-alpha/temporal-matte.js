@@ -0,0 +1,117 @@
+/**
+ * Temporal Matte Module
+ * Reduces edge flicker by blending each frame's alpha with neighbouring frames. Pixels whose
+ * colour changed between frames count as moving and are blended less, so moving edges do not ghost.
+ *
+ * Playback can only look back, so there the filter is one-sided (recursive over past frames): it
+ * lags slightly behind slow alpha changes. Seek-based exports can fetch frames on both sides and
+ * use a centred window instead (applyCentredTemporalMatte), wrapping around the range ends for
+ * looping formats so the loop point is smoothed like any other frame.
+ */
+
+const TEMPORAL_SAME_FRAME = 0.001; // Seconds; the same frame keyed again (e.g. after a slider change)
+const TEMPORAL_MAX_GAP = 0.25; // Seconds; a larger step (or any step backwards) starts a new history
+
+/**
+ * Create a temporal filter. Returns { apply(data, width, height, time, options), reset() }.
+ * apply() smooths the alpha of RGBA data in place; options: { strength (0-1), motion (colour
+ * difference, 0-255, at which a pixel is fully treated as moving) }.
+ */
+function createTemporalMatteFilter() {
+    let last = null; // { time, width, height, rgb, alpha } of the most recent frame
+    let previous = null; // The frame before last, the reference when last is keyed again
+
+    const reset = () => {
+        last = null;
+        previous = null;
+    };
+
+    const allocate = (width, height) => ({
+        width,
+        height,
+        time: 0,
+        rgb: new Uint8Array(width * height * 3),
+        alpha: new Float32Array(width * height)
+    });
+
+    const apply = (data, width, height, time, options) => {
+        if (!(options.strength > 0)) {
+            reset();
+            return;
+        }
+
+        const fits = frame => frame && frame.width === width && frame.height === height;
+        const gap = fits(last) ? time - last.time : Infinity;
+        let reference = null;
+        let target;
+
+        if (Math.abs(gap) < TEMPORAL_SAME_FRAME) {
+            reference = fits(previous) ? previous : null;
+            target = last;
+        } else if (gap > 0 && gap <= TEMPORAL_MAX_GAP) {
+            reference = last;
+            target = fits(previous) ? previous : allocate(width, height);
+            previous = last;
+        } else {
+            previous = null;
+            target = fits(last) ? last : allocate(width, height);
+        }
+
+        const strength = Math.min(1, options.strength);
+        const motion = Math.max(1, options.motion);
+        const pixelCount = width * height;
+
+        for (let p = 0; p < pixelCount; p++) {
+            const i = p * 4;
+            const c = p * 3;
+            let alpha = data[i + 3];
+
+            if (reference) {
+                const difference = (Math.abs(data[i] - reference.rgb[c]) +
+                    Math.abs(data[i + 1] - reference.rgb[c + 1]) +
+                    Math.abs(data[i + 2] - reference.rgb[c + 2])) / 3;
+                const weight = strength * Math.max(0, 1 - difference / motion);
+                alpha += (reference.alpha[p] - alpha) * weight;
+            }
+
+            target.alpha[p] = alpha;
+            target.rgb[c] = data[i];
+            target.rgb[c + 1] = data[i + 1];
+            target.rgb[c + 2] = data[i + 2];
+            data[i + 3] = alpha;
+        }
+
+        target.time = time;
+        last = target;
+    };
+
+    return { apply, reset };
+}
+
+/**
+ * Blend the alpha of RGBA data with the frames on both sides of it (previous and next, as
+ * ImageData keyed up to the same stage and at the same size, or null at the end of a range
+ * that does not loop). Options as for createTemporalMatteFilter; each neighbour is weighted
+ * by strength and motion, so at full strength a still pixel gets the mean of the three frames.
+ */
+function applyCentredTemporalMatte(data, previous, next, options) {
+    if (!(options.strength > 0)) return;
+
+    const strength = Math.min(1, options.strength);
+    const motion = Math.max(1, options.motion);
+    const neighbours = [previous, next].filter(Boolean).map(frame => frame.data);
+
+    for (let i = 0; i < data.length; i += 4) {
+        let sum = data[i + 3];
+        let total = 1;
+        for (const neighbour of neighbours) {
+            const difference = (Math.abs(data[i] - neighbour[i]) +
+                Math.abs(data[i + 1] - neighbour[i + 1]) +
+                Math.abs(data[i + 2] - neighbour[i + 2])) / 3;
+            const weight = strength * Math.max(0, 1 - difference / motion);
+            sum += neighbour[i + 3] * weight;
+            total += weight;
+        }
+        data[i + 3] = sum / total;
+    }
+}
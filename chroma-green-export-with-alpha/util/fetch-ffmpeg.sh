@@ -0,0 +1,105 @@
+#!/bin/bash
+
+# fetch-ffmpeg.sh
+# Downloads FFmpeg.wasm (UMD build, single- and multi-threaded cores) into vendor/ffmpeg
+# so the browser exports can load FFmpeg and its worker from the site itself.
+# ffmpeg.js and the single-threaded core are committed (the site is served straight from the
+# repo); the multi-threaded core in core-mt is git-ignored and only fetched here, for local
+# servers with the COOP/COEP headers. After changing the versions below, run with -f and
+# commit the updated files outside core-mt
+# Requires: curl, tar
+# Usage: ./fetch-ffmpeg.sh [-f]
+
+set -e
+
+# Package versions (the UMD ffmpeg.js below is tested with these cores)
+FFMPEG_VERSION="0.12.15"
+CORE_VERSION="0.12.10"
+REGISTRY="https://registry.npmjs.org"
+
+FORCE=false
+
+# Colors for output
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+CYAN='\033[0;36m'
+NC='\033[0m' # No Color
+
+print_usage() {
+    echo "Usage: $0 [-f]"
+    echo ""
+    echo "Options:"
+    echo "  -f            Download again even if the files already exist"
+    echo ""
+    echo "Examples:"
+    echo "  $0 -f"
+}
+
+# Parse arguments
+while getopts "fh" opt; do
+    case $opt in
+        f) FORCE=true ;;
+        h) print_usage; exit 0 ;;
+        *) print_usage; exit 1 ;;
+    esac
+done
+
+for tool in curl tar; do
+    if ! command -v "$tool" &> /dev/null; then
+        echo -e "${RED}Error: $tool is not installed${NC}"
+        exit 1
+    fi
+done
+
+VENDOR_DIR="$(cd "$(dirname "$0")/.." && pwd)/vendor/ffmpeg"
+TEMP_DIR=$(mktemp -d)
+trap 'rm -rf "$TEMP_DIR"' EXIT
+
+# Download an npm package tarball and extract it into $TEMP_DIR/<name>
+fetch_package() {
+    local package="$1"
+    local version="$2"
+    local name="${package#@ffmpeg/}"
+    local url="$REGISTRY/$package/-/$name-$version.tgz"
+
+    echo -e "  Downloading ${CYAN}$package@$version${NC}"
+    mkdir -p "$TEMP_DIR/$name"
+    curl -fsSL "$url" | tar xz -C "$TEMP_DIR/$name" --strip-components=1
+}
+
+echo -e "${CYAN}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${NC}"
+echo -e "${GREEN}Fetch FFmpeg.wasm${NC}"
+echo -e "${CYAN}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${NC}"
+echo -e "  Output:  $VENDOR_DIR"
+echo -e "  FFmpeg:  @ffmpeg/ffmpeg $FFMPEG_VERSION"
+echo -e "  Core:    @ffmpeg/core $CORE_VERSION, @ffmpeg/core-mt $CORE_VERSION"
+echo -e "${CYAN}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${NC}"
+echo ""
+
+if [ -f "$VENDOR_DIR/core-mt/ffmpeg-core.js" ] && [ "$FORCE" = false ]; then
+    echo -e "${YELLOW}FFmpeg.wasm is already in $VENDOR_DIR (use -f to download again)${NC}"
+    exit 0
+fi
+
+fetch_package "@ffmpeg/ffmpeg" "$FFMPEG_VERSION"
+fetch_package "@ffmpeg/core" "$CORE_VERSION"
+fetch_package "@ffmpeg/core-mt" "$CORE_VERSION"
+
+rm -rf "$VENDOR_DIR"
+mkdir -p "$VENDOR_DIR/core"
+
+# ffmpeg.js starts its worker (814.ffmpeg.js) from its own directory, so both must stay together
+cp "$TEMP_DIR/ffmpeg/dist/umd/ffmpeg.js" "$TEMP_DIR/ffmpeg/dist/umd/814.ffmpeg.js" "$VENDOR_DIR/"
+cp "$TEMP_DIR/core/dist/umd/ffmpeg-core.js" "$TEMP_DIR/core/dist/umd/ffmpeg-core.wasm" "$VENDOR_DIR/core/"
+mkdir -p "$VENDOR_DIR/core-mt"
+cp "$TEMP_DIR/core-mt/dist/umd/ffmpeg-core.js" "$TEMP_DIR/core-mt/dist/umd/ffmpeg-core.wasm" "$TEMP_DIR/core-mt/dist/umd/ffmpeg-core.worker.js" "$VENDOR_DIR/core-mt/"
+# The package tarballs mark some files executable; they are only served as static files
+find "$VENDOR_DIR" -type f -exec chmod 644 {} +
+
+echo ""
+echo -e "${GREEN}✓ FFmpeg.wasm saved to $VENDOR_DIR${NC}"
+echo ""
+echo "Start the local server (sends the COOP/COEP headers the multi-threaded core needs):"
+echo "   $(cd "$(dirname "$0")/../.." && pwd)/start.sh"
+echo ""
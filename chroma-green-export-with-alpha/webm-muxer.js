@@ -0,0 +1,302 @@
+/**
+ * WebM Muxer Module
+ * Minimal Matroska/WebM writer for a single VP8/VP9 video track with an alpha channel
+ * Alpha frames are stored as BlockAdditional data (BlockAddID 1), the layout libvpx/Chrome use
+ * for transparent WebM. See https://www.matroska.org/technical/elements.html
+ */
+
+const EBML_ID = {
+    EBML: 0x1A45DFA3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42F7,
+    EBMLMaxIDLength: 0x42F2,
+    EBMLMaxSizeLength: 0x42F3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    SeekHead: 0x114D9B74,
+    Seek: 0x4DBB,
+    SeekID: 0x53AB,
+    SeekPosition: 0x53AC,
+    Info: 0x1549A966,
+    TimecodeScale: 0x2AD7B1,
+    Duration: 0x4489,
+    MuxingApp: 0x4D80,
+    WritingApp: 0x5741,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackNumber: 0xD7,
+    TrackUID: 0x73C5,
+    TrackType: 0x83,
+    FlagLacing: 0x9C,
+    CodecID: 0x86,
+    DefaultDuration: 0x23E383,
+    MaxBlockAdditionID: 0x55EE,
+    Video: 0xE0,
+    PixelWidth: 0xB0,
+    PixelHeight: 0xBA,
+    PixelCropBottom: 0x54AA,
+    PixelCropRight: 0x54DD,
+    AlphaMode: 0x53C0,
+    Cluster: 0x1F43B675,
+    Timecode: 0xE7,
+    BlockGroup: 0xA0,
+    Block: 0xA1,
+    BlockAdditions: 0x75A1,
+    BlockMore: 0xA6,
+    BlockAddID: 0xEE,
+    BlockAdditional: 0xA5,
+    ReferenceBlock: 0xFB,
+    Cues: 0x1C53BB6B,
+    CuePoint: 0xBB,
+    CueTime: 0xB3,
+    CueTrackPositions: 0xB7,
+    CueTrack: 0xF7,
+    CueClusterPosition: 0xF1
+};
+
+// Block timecodes are signed 16-bit offsets from the cluster timecode
+const WEBM_MAX_CLUSTER_SPAN_MS = 32767;
+
+function concatBytes(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+function encodeEbmlId(id) {
+    const bytes = [];
+    for (let value = id; value > 0; value = Math.floor(value / 256)) {
+        bytes.unshift(value & 0xFF);
+    }
+    return new Uint8Array(bytes);
+}
+
+// Variable-length size with the shortest marker that fits (all-ones values are reserved for "unknown")
+function encodeEbmlSize(size) {
+    let length = 1;
+    while (size >= Math.pow(2, 7 * length) - 1) length++;
+    if (length > 8) {
+        throw new Error(`EBML element too large (${size} bytes)`);
+    }
+    const bytes = new Uint8Array(length);
+    let value = size;
+    for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = value & 0xFF;
+        value = Math.floor(value / 256);
+    }
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+}
+
+function encodeUnsigned(value, byteLength) {
+    let length = byteLength || 1;
+    if (!byteLength) {
+        while (length < 8 && value >= Math.pow(2, 8 * length)) length++;
+    }
+    const bytes = new Uint8Array(length);
+    let remaining = value;
+    for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = remaining & 0xFF;
+        remaining = Math.floor(remaining / 256);
+    }
+    return bytes;
+}
+
+function ebmlElement(id, data) {
+    return concatBytes([encodeEbmlId(id), encodeEbmlSize(data.length), data]);
+}
+
+function ebmlMaster(id, children) {
+    return ebmlElement(id, concatBytes(children));
+}
+
+// byteLength forces a fixed width, used where a value is patched in after sizes are known
+function ebmlUint(id, value, byteLength) {
+    return ebmlElement(id, encodeUnsigned(value, byteLength));
+}
+
+function ebmlInt(id, value) {
+    const bytes = new Uint8Array(2);
+    new DataView(bytes.buffer).setInt16(0, value);
+    return ebmlElement(id, bytes);
+}
+
+function ebmlFloat(id, value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return ebmlElement(id, bytes);
+}
+
+function ebmlString(id, value) {
+    return ebmlElement(id, new TextEncoder().encode(value));
+}
+
+// Block header: track number (vint), signed 16-bit relative timecode, flags
+function createBlockHeader(trackNumber, relativeTimecode, flags) {
+    const header = new Uint8Array(4);
+    header[0] = 0x80 | trackNumber;
+    new DataView(header.buffer).setInt16(1, relativeTimecode);
+    header[3] = flags;
+    return header;
+}
+
+/**
+ * Create a muxer for one video track.
+ * options: { codec: 'vp8' | 'vp9', width, height, displayWidth, displayHeight, fps, hasAlpha }
+ * width/height are the encoded size; a smaller display size is written as pixel cropping.
+ * Returns { addFrame(colorData, alphaData, isKey, timestampMs), finalize(durationMs) → Blob }
+ */
+function createWebMMuxer(options) {
+    const { codec, width, height, fps, hasAlpha } = options;
+    const displayWidth = options.displayWidth || width;
+    const displayHeight = options.displayHeight || height;
+    const trackNumber = 1;
+
+    const clusters = [];
+    const cuePoints = [];
+    let clusterBlocks = null;
+    let clusterTimecode = 0;
+    let clusterOffset = 0; // Position of the current cluster relative to the first cluster
+    let lastKeyTimecode = 0;
+
+    const flushCluster = () => {
+        if (!clusterBlocks) return;
+        const cluster = ebmlMaster(EBML_ID.Cluster, [ebmlUint(EBML_ID.Timecode, clusterTimecode), ...clusterBlocks]);
+        clusters.push(cluster);
+        clusterOffset += cluster.length;
+        clusterBlocks = null;
+    };
+
+    // Add one encoded frame; alphaData may be null when the track has no alpha
+    const addFrame = (colorData, alphaData, isKey, timestampMs) => {
+        const timecode = Math.round(timestampMs);
+
+        // Start clusters on key frames so every cluster can be decoded on its own
+        if (!clusterBlocks || (isKey && timecode > clusterTimecode) || timecode - clusterTimecode > WEBM_MAX_CLUSTER_SPAN_MS) {
+            flushCluster();
+            clusterBlocks = [];
+            clusterTimecode = timecode;
+            if (isKey) {
+                cuePoints.push({ time: timecode, position: clusterOffset });
+            }
+        }
+
+        const children = [ebmlElement(EBML_ID.Block, concatBytes([
+            createBlockHeader(trackNumber, timecode - clusterTimecode, 0),
+            colorData
+        ]))];
+
+        if (alphaData) {
+            children.push(ebmlMaster(EBML_ID.BlockAdditions, [
+                ebmlMaster(EBML_ID.BlockMore, [
+                    ebmlUint(EBML_ID.BlockAddID, 1),
+                    ebmlElement(EBML_ID.BlockAdditional, alphaData)
+                ])
+            ]));
+        }
+
+        // A Block without ReferenceBlock is a key frame
+        if (isKey) {
+            lastKeyTimecode = timecode;
+        } else {
+            children.push(ebmlInt(EBML_ID.ReferenceBlock, lastKeyTimecode - timecode));
+        }
+
+        clusterBlocks.push(ebmlMaster(EBML_ID.BlockGroup, children));
+    };
+
+    const finalize = (durationMs) => {
+        flushCluster();
+        if (clusters.length === 0) {
+            throw new Error('WebM file needs at least one frame');
+        }
+
+        const ebmlHeader = ebmlMaster(EBML_ID.EBML, [
+            ebmlUint(EBML_ID.EBMLVersion, 1),
+            ebmlUint(EBML_ID.EBMLReadVersion, 1),
+            ebmlUint(EBML_ID.EBMLMaxIDLength, 4),
+            ebmlUint(EBML_ID.EBMLMaxSizeLength, 8),
+            ebmlString(EBML_ID.DocType, 'webm'),
+            ebmlUint(EBML_ID.DocTypeVersion, 4),
+            ebmlUint(EBML_ID.DocTypeReadVersion, 2)
+        ]);
+
+        const info = ebmlMaster(EBML_ID.Info, [
+            ebmlUint(EBML_ID.TimecodeScale, 1000000), // Timecodes in milliseconds
+            ebmlFloat(EBML_ID.Duration, durationMs),
+            ebmlString(EBML_ID.MuxingApp, 'frogfx.tools webm-muxer'),
+            ebmlString(EBML_ID.WritingApp, 'frogfx.tools chroma key')
+        ]);
+
+        const videoSettings = [
+            ebmlUint(EBML_ID.PixelWidth, width),
+            ebmlUint(EBML_ID.PixelHeight, height)
+        ];
+        if (displayHeight < height) videoSettings.push(ebmlUint(EBML_ID.PixelCropBottom, height - displayHeight));
+        if (displayWidth < width) videoSettings.push(ebmlUint(EBML_ID.PixelCropRight, width - displayWidth));
+        if (hasAlpha) videoSettings.push(ebmlUint(EBML_ID.AlphaMode, 1));
+
+        const trackEntry = [
+            ebmlUint(EBML_ID.TrackNumber, trackNumber),
+            ebmlUint(EBML_ID.TrackUID, trackNumber),
+            ebmlUint(EBML_ID.TrackType, 1), // Video
+            ebmlUint(EBML_ID.FlagLacing, 0),
+            ebmlString(EBML_ID.CodecID, codec === 'vp8' ? 'V_VP8' : 'V_VP9'),
+            ebmlUint(EBML_ID.DefaultDuration, Math.round(1e9 / fps))
+        ];
+        if (hasAlpha) trackEntry.push(ebmlUint(EBML_ID.MaxBlockAdditionID, 1));
+        trackEntry.push(ebmlMaster(EBML_ID.Video, videoSettings));
+        const tracks = ebmlMaster(EBML_ID.Tracks, [ebmlMaster(EBML_ID.TrackEntry, trackEntry)]);
+
+        // SeekHead positions use fixed 8-byte values so its size is known before the offsets are
+        const buildSeekHead = (positions) => ebmlMaster(EBML_ID.SeekHead, positions.map(({ id, position }) =>
+            ebmlMaster(EBML_ID.Seek, [
+                ebmlElement(EBML_ID.SeekID, encodeEbmlId(id)),
+                ebmlUint(EBML_ID.SeekPosition, position, 8)
+            ])
+        ));
+        const seekHeadSize = buildSeekHead([
+            { id: EBML_ID.Info, position: 0 },
+            { id: EBML_ID.Tracks, position: 0 },
+            { id: EBML_ID.Cues, position: 0 }
+        ]).length;
+
+        // Positions are relative to the start of the Segment data
+        const infoPosition = seekHeadSize;
+        const tracksPosition = infoPosition + info.length;
+        const firstClusterPosition = tracksPosition + tracks.length;
+        const clustersSize = clusters.reduce((sum, cluster) => sum + cluster.length, 0);
+        const cuesPosition = firstClusterPosition + clustersSize;
+
+        const cues = ebmlMaster(EBML_ID.Cues, cuePoints.map(cue =>
+            ebmlMaster(EBML_ID.CuePoint, [
+                ebmlUint(EBML_ID.CueTime, cue.time),
+                ebmlMaster(EBML_ID.CueTrackPositions, [
+                    ebmlUint(EBML_ID.CueTrack, trackNumber),
+                    ebmlUint(EBML_ID.CueClusterPosition, firstClusterPosition + cue.position)
+                ])
+            ])
+        ));
+
+        const seekHead = buildSeekHead([
+            { id: EBML_ID.Info, position: infoPosition },
+            { id: EBML_ID.Tracks, position: tracksPosition },
+            { id: EBML_ID.Cues, position: cuesPosition }
+        ]);
+
+        const segmentSize = cuesPosition + cues.length;
+        const segmentHeader = concatBytes([encodeEbmlId(EBML_ID.Segment), encodeEbmlSize(segmentSize)]);
+
+        // Clusters stay separate Blob parts so they are not copied into one large buffer
+        return new Blob([ebmlHeader, segmentHeader, seekHead, info, tracks, ...clusters, cues], { type: 'video/webm' });
+    };
+
+    return { addFrame, finalize };
+}
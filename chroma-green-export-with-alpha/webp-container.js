@@ -0,0 +1,135 @@
+/**
+ * WebP Container Module
+ * Reads and writes the RIFF chunks of (animated) WebP files so encoded frames can be joined
+ * without decoding them again. See https://developers.google.com/speed/webp/docs/riff_container
+ */
+
+const WEBP_VP8X_FLAG_ANIMATION = 0x02;
+const WEBP_VP8X_FLAG_ALPHA = 0x10;
+const WEBP_ANMF_HEADER_SIZE = 16;
+
+function readFourCC(bytes, offset) {
+    return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+function readUint24LE(bytes, offset) {
+    return bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+}
+
+function writeUint24LE(bytes, offset, value) {
+    bytes[offset] = value & 0xFF;
+    bytes[offset + 1] = (value >> 8) & 0xFF;
+    bytes[offset + 2] = (value >> 16) & 0xFF;
+}
+
+// Split a WebP file into its top-level chunks ({ fourcc, data } with data as a view into bytes)
+function parseWebPChunks(bytes) {
+    if (bytes.length < 12 || readFourCC(bytes, 0) !== 'RIFF' || readFourCC(bytes, 8) !== 'WEBP') {
+        throw new Error('Not a WebP file (missing RIFF/WEBP header)');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const riffEnd = Math.min(bytes.length, 8 + view.getUint32(4, true));
+    const chunks = [];
+    let offset = 12;
+
+    while (offset + 8 <= riffEnd) {
+        const fourcc = readFourCC(bytes, offset);
+        const size = view.getUint32(offset + 4, true);
+        const dataStart = offset + 8;
+        if (dataStart + size > riffEnd) {
+            throw new Error(`Truncated WebP chunk ${fourcc} at byte ${offset}`);
+        }
+        chunks.push({ fourcc, data: bytes.subarray(dataStart, dataStart + size) });
+        // Chunks are padded to an even size
+        offset = dataStart + size + (size & 1);
+    }
+
+    return chunks;
+}
+
+// Read canvas, animation parameters and ANMF frames of an animated WebP
+function readAnimatedWebP(bytes) {
+    const chunks = parseWebPChunks(bytes);
+    const vp8x = chunks.find(chunk => chunk.fourcc === 'VP8X');
+    const anim = chunks.find(chunk => chunk.fourcc === 'ANIM');
+
+    if (!vp8x || !(vp8x.data[0] & WEBP_VP8X_FLAG_ANIMATION) || !anim) {
+        throw new Error('WebP file is not animated (missing VP8X animation flag or ANIM chunk)');
+    }
+
+    const animView = new DataView(anim.data.buffer, anim.data.byteOffset, anim.data.byteLength);
+    return {
+        width: readUint24LE(vp8x.data, 4) + 1,
+        height: readUint24LE(vp8x.data, 7) + 1,
+        hasAlpha: (vp8x.data[0] & WEBP_VP8X_FLAG_ALPHA) !== 0,
+        bgColor: animView.getUint32(0, true),
+        loopCount: animView.getUint16(4, true),
+        frames: chunks.filter(chunk => chunk.fourcc === 'ANMF').map(chunk => chunk.data)
+    };
+}
+
+// Frame rectangle, duration and flags stored in an ANMF payload header
+function readAnimationFrameHeader(anmfData) {
+    return {
+        x: readUint24LE(anmfData, 0) * 2,
+        y: readUint24LE(anmfData, 3) * 2,
+        width: readUint24LE(anmfData, 6) + 1,
+        height: readUint24LE(anmfData, 9) + 1,
+        duration: readUint24LE(anmfData, 12),
+        flags: anmfData[15]
+    };
+}
+
+// Copy of an ANMF payload with a new duration (ms); the frame bitstream is left untouched
+function setAnimationFrameDuration(anmfData, duration) {
+    const copy = anmfData.slice();
+    writeUint24LE(copy, 12, Math.max(0, Math.min(0xFFFFFF, Math.round(duration))));
+    return copy;
+}
+
+function createChunkHeader(fourcc, size) {
+    const header = new Uint8Array(8);
+    for (let i = 0; i < 4; i++) header[i] = fourcc.charCodeAt(i);
+    new DataView(header.buffer).setUint32(4, size, true);
+    return header;
+}
+
+// RIFF header, VP8X and ANIM chunks of an animated WebP (44 bytes)
+// framesSize is the total size of the ANMF chunks that follow (see createAnimationFrameChunk)
+function createAnimatedWebPHeader({ width, height, loopCount = 0, bgColor = 0x00000000, hasAlpha = true }, framesSize) {
+    if (width < 1 || height < 1 || width > 0x1000000 || height > 0x1000000) {
+        throw new Error(`Invalid WebP canvas size ${width}x${height}`);
+    }
+
+    const header = new Uint8Array(12 + 18 + 14);
+    const view = new DataView(header.buffer);
+    header.set(createChunkHeader('RIFF', 4 + 18 + 14 + framesSize), 0);
+    header.set([0x57, 0x45, 0x42, 0x50], 8); // 'WEBP'
+
+    header.set(createChunkHeader('VP8X', 10), 12);
+    header[20] = WEBP_VP8X_FLAG_ANIMATION | (hasAlpha ? WEBP_VP8X_FLAG_ALPHA : 0);
+    writeUint24LE(header, 24, width - 1);
+    writeUint24LE(header, 27, height - 1);
+
+    header.set(createChunkHeader('ANIM', 6), 30);
+    view.setUint32(38, bgColor >>> 0, true);
+    view.setUint16(42, loopCount, true);
+    return header;
+}
+
+// ANMF chunk (header, payload and padding byte) as Blob parts
+function createAnimationFrameChunk(frame) {
+    if (frame.length < WEBP_ANMF_HEADER_SIZE) {
+        throw new Error('Invalid ANMF frame payload');
+    }
+    const parts = [createChunkHeader('ANMF', frame.length), frame];
+    if (frame.length & 1) {
+        parts.push(new Uint8Array(1));
+    }
+    return parts;
+}
+
+function getAnimationFrameChunkSize(frame) {
+    return 8 + frame.length + (frame.length & 1);
+}
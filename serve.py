@@ -0,0 +1,34 @@
+#!/usr/bin/env python3
+"""Static file server for local development.
+
+Sends the cross-origin isolation headers (COOP/COEP) that SharedArrayBuffer needs,
+so the chroma tool can run the multi-threaded FFmpeg.wasm core from vendor/ffmpeg.
+"""
+
+import sys
+from http.server import SimpleHTTPRequestHandler, ThreadingHTTPServer
+
+
+class IsolatedRequestHandler(SimpleHTTPRequestHandler):
+    extensions_map = {
+        **SimpleHTTPRequestHandler.extensions_map,
+        '.js': 'text/javascript',
+        '.wasm': 'application/wasm',
+    }
+
+    def end_headers(self):
+        self.send_header('Cross-Origin-Opener-Policy', 'same-origin')
+        # credentialless keeps the CDN scripts loadable without CORP headers; Safari does not
+        # support it, so the page is not isolated there and FFmpeg uses the single-threaded core
+        self.send_header('Cross-Origin-Embedder-Policy', 'credentialless')
+        self.send_header('Cross-Origin-Resource-Policy', 'same-origin')
+        super().end_headers()
+
+
+if __name__ == '__main__':
+    port = int(sys.argv[1]) if len(sys.argv) > 1 else 8000
+    server = ThreadingHTTPServer(('', port), IsolatedRequestHandler)
+    try:
+        server.serve_forever()
+    except KeyboardInterrupt:
+        pass
@@ -2,4 +2,4 @@
 
 cd "$(dirname "$0")"
 echo "Starting server at http://localhost:8000"
-python3 -m http.server 8000
+python3 serve.py 8000